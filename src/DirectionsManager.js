@@ -1,14 +1,135 @@
 import maplibregl from 'maplibre-gl';
+import { decode as decodePolyline, encode as encodePolyline } from './polyline.js';
+import { exportRoute as serializeRoute, importRoute as parseRoute } from './routeFormats.js';
+import { createRequestCache } from './RequestCache.js';
+import Formatter from './Formatter.js';
+import { t } from './i18n.js';
+import { estimateDuration } from './geo.js';
+
+// Travel modes supported by the routing API with their default average speeds
+export const ROUTING_PROFILES = {
+  auto: { avgSpeedKmh: 30 },
+  truck: { avgSpeedKmh: 25 },
+  motorcycle: { avgSpeedKmh: 35 },
+  bicycle: { avgSpeedKmh: 15 },
+  pedestrian: { avgSpeedKmh: 5 },
+};
+
+// Avoid options and the Valhalla costing option each one maps to
+const AVOID_OPTIONS = {
+  tolls: { option: 'use_tolls', value: 0, profiles: ['auto', 'truck', 'motorcycle'] },
+  highways: { option: 'use_highways', value: 0, profiles: ['auto', 'truck', 'motorcycle'] },
+  ferries: { option: 'use_ferry', value: 0, profiles: ['auto', 'truck', 'motorcycle', 'bicycle', 'pedestrian'] },
+  unpaved: { option: 'exclude_unpaved', value: true, profiles: ['auto', 'truck', 'motorcycle', 'bicycle'] },
+};
+
+// Truck dimensions/weight (meters and metric tons) and their Valhalla costing option names
+const TRUCK_OPTIONS = {
+  height: 'height',
+  width: 'width',
+  length: 'length',
+  weight: 'weight',
+  axleLoad: 'axle_load',
+};
+
+// Walking wording (i18n keys) by Valhalla maneuver type; other types keep the API text
+const PEDESTRIAN_WORDING = {
+  1: 'walk.start', // Start
+  2: 'walk.start', // Start right
+  3: 'walk.start', // Start left
+  4: 'walk.arrive', // Destination
+  5: 'walk.arriveRight', // Destination right
+  6: 'walk.arriveLeft', // Destination left
+  7: 'nav.continueWalking', // Becomes
+  8: 'nav.continueWalking', // Continue
+  9: 'walk.slightRight', // Slight right
+  10: 'walk.right', // Right
+  11: 'walk.sharpRight', // Sharp right
+  12: 'walk.uturn', // U-turn right
+  13: 'walk.uturn', // U-turn left
+  14: 'walk.sharpLeft', // Sharp left
+  15: 'walk.left', // Left
+  16: 'walk.slightLeft', // Slight left
+  22: 'nav.continueWalking', // Stay straight
+  23: 'walk.slightRight', // Stay right
+  24: 'walk.slightLeft', // Stay left
+  39: 'walk.elevator', // Elevator
+  40: 'walk.stairs', // Steps
+  41: 'walk.escalator', // Escalator
+  42: 'walk.enterBuilding', // Building enter
+  43: 'walk.exitBuilding', // Building exit
+};
+
+// Per-segment route annotations that can color the route line
+const ROUTE_ANNOTATIONS = ['congestion', 'speed'];
+
+// trace_attributes filter for speed limits: the edges' limits, and the edge each route point lies on
+const SPEED_LIMIT_ATTRIBUTES = [
+  'edge.speed_limit',
+  'matched.type',
+  'matched.edge_index',
+  'matched.distance_along_edge',
+  'matched.begin_route_discontinuity',
+  'matched.end_route_discontinuity'
+];
+
+// Valhalla lane direction bits, listed from left to right as the arrows are drawn
+const LANE_DIRECTION_BITS = {
+  uturn: 256,
+  merge_to_left: 512,
+  sharp_left: 4,
+  left: 8,
+  slight_left: 16,
+  none: 1, // Lane without markings
+  through: 2,
+  slight_right: 32,
+  right: 64,
+  sharp_right: 128,
+  merge_to_right: 1024
+};
+
+// Route line colors by congestion level; 'low' and unknown segments keep the route color
+const CONGESTION_COLORS = {
+  moderate: '#f09a46',
+  heavy: '#e34341',
+  severe: '#8b2342',
+};
 
 class DirectionsManager {
-  constructor(map, apiKey) {
+  /**
+   * @param {Object} map - MapLibre map
+   * @param {string} apiKey - Gebeta API key
+   * @param {Object} options - Additional options
+   * @param {RequestCache|Object|boolean} options.cache - Shared RequestCache, cache options ({maxEntries, ttl, precision}) or false to disable caching
+   * @param {string} options.language - Language for instructions and formatted strings (default: 'en')
+   * @param {string} options.units - 'metric' or 'imperial' for formatted distances (default: 'metric')
+   * @param {string} options.traceAttributesUrl - Valhalla trace_attributes endpoint used for speed limits (default: none)
+   */
+  constructor(map, apiKey, options = {}) {
     this.map = map;
     this.apiKey = apiKey;
     this.baseUrl = 'https://mapapi.gebeta.app/api/route/direction/';
+    // Responses cached by rounded points and options; in-flight requests are shared
+    this.cache = createRequestCache(options.cache);
+    this.language = options.language || 'en';
+    this.units = options.units || 'metric';
+    // The directions endpoint returns no speed limits; they are looked up on the route shape here
+    this.traceAttributesUrl = options.traceAttributesUrl || null;
+    // Valhalla encodes route shapes with 6 decimal places
+    this.polylinePrecision = 6;
     this.currentRoute = null;
     this.routeSource = null;
     this.routeLayer = null;
     this.markers = [];
+
+    // Alternative route layers currently drawn on the map
+    this.alternativeLayers = [];
+    this._lastDisplayOptions = {};
+
+    // Event listeners
+    this.eventListeners = {
+      'routeselected': []
+    };
     
     // Initialize route source and layer when map is ready
     if (this.map.isStyleLoaded()) {
@@ -94,6 +215,32 @@ class DirectionsManager {
     // For now, skip it to avoid potential issues
   }
 
+  // Add event listener
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  // Remove event listener
+  off(event, callback) {
+    if (!this.eventListeners[event]) return;
+    this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+  }
+
+  // Trigger event
+  trigger(event, data) {
+    if (!this.eventListeners[event]) return;
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (e) {
+        console.error('Error in event listener:', e);
+      }
+    });
+  }
+
   /**
    * Get directions between two points
    * @param {Object} origin - {lat: number, lng: number}
@@ -101,7 +248,15 @@ class DirectionsManager {
    * @param {Object} options - Additional options
    * @param {Array} options.waypoints - Array of waypoint objects [{lat: number, lng: number}]
    * @param {number} options.avgSpeedKmh - Average speed in km/h
-   * @returns {Promise<Object>} - Directions response
+   * @param {number} options.alternatives - Number of alternative routes to request (default: 0)
+   * @param {string} options.profile - Travel mode: 'auto', 'truck', 'motorcycle', 'bicycle' or 'pedestrian' (default: 'auto')
+   * @param {Array<string>} options.avoid - Any of 'tolls', 'highways', 'ferries', 'unpaved'
+   * @param {Object} options.truck - Truck dimensions for the 'truck' profile ({height, width, length, weight, axleLoad})
+   * @param {boolean} options.speedLimits - Look up speed limits on the route with a trace_attributes request,
+   *   returned per route segment in `speedLimits`; requires `traceAttributesUrl` (default: false)
+   * @param {string} options.cache - 'no-store' to bypass the cache, 'prefer-cache' to accept expired entries
+   * @param {string} options.language - Language of the instructions and formatted strings (default: the manager's language)
+   * @returns {Promise<Object>} - Directions response; alternates are listed in `alternatives`
    */
   async getDirections(origin, destination, options = {}) {
     if (!this.apiKey) {
@@ -114,25 +269,52 @@ class DirectionsManager {
 
     const {
       waypoints = [],
-      avgSpeedKmh = 30 // default value
+      alternatives = 0,
+      profile = 'auto'
     } = options;
 
+    if (!Number.isInteger(alternatives) || alternatives < 0) {
+      throw new Error('alternatives must be a non-negative integer');
+    }
+
+    // Validate the travel mode options before hitting the API
+    const costingOptions = this._buildCostingOptions(options);
+    if (options.speedLimits && !this.traceAttributesUrl) {
+      throw new Error('speedLimits requires a traceAttributesUrl (a Valhalla trace_attributes endpoint)');
+    }
+    const avgSpeedKmh = options.avgSpeedKmh ?? ROUTING_PROFILES[profile].avgSpeedKmh;
+
     // Build URL parameters
     const params = new URLSearchParams({
       origin: `${origin.lat},${origin.lng}`,
       destination: `${destination.lat},${destination.lng}`,
       instruction: '1', // Always request turn-by-turn instructions
       format:'valhalla',
+      costing: profile,
       apiKey: this.apiKey
     });
 
+    if (Object.keys(costingOptions).length > 0) {
+      params.append('costing_options', JSON.stringify({ [profile]: costingOptions }));
+    }
+
     // Add waypoints if provided - send as array of {lat,lng} objects (no property names)
     if (waypoints.length > 0) {
       const waypointsString = `[${waypoints.map(wp => `{${wp.lat},${wp.lng}}`).join(',')}]`;
       params.append('waypoints', waypointsString);
     }
 
-    try {
+    if (alternatives > 0) {
+      params.append('alternatives', String(alternatives));
+    }
+
+
+    const language = options.language || this.language;
+    params.append('language', language);
+    // Verbal instructions ("Continue for 2 miles") follow the unit system
+    params.append('units', this.units === 'imperial' ? 'miles' : 'kilometers');
+
+    const request = async () => {
       const response = await fetch(`${this.baseUrl}?${params.toString()}`);
       
       if (!response.ok) {
@@ -143,7 +325,29 @@ class DirectionsManager {
       const data = await response.json();
       
       // Transform the API response to our internal format
-      const transformedData = this._transformApiResponse(data, origin, destination, avgSpeedKmh);
+      const transformedData = this._transformApiResponse(data, origin, destination, avgSpeedKmh, waypoints, profile, language);
+
+      // Valhalla returns alternates next to the primary trip
+      const alternates = data.alternates || data.alternatives || [];
+      transformedData.alternatives = alternatives > 0 && Array.isArray(alternates)
+        ? alternates.slice(0, alternatives).map(alternate => this._transformApiResponse(alternate, origin, destination, avgSpeedKmh, waypoints, profile, language))
+        : [];
+
+      // A failed lookup leaves the route without speed limits rather than failing it
+      transformedData.speedLimits = options.speedLimits
+        ? await this.getSpeedLimits(transformedData).catch((error) => {
+          console.warn('Could not fetch speed limits:', error);
+          return null;
+        })
+        : null;
+
+      return transformedData;
+    };
+
+    try {
+      const transformedData = this.cache
+        ? await this.cache.resolve(this._directionsCacheKey(origin, destination, options, avgSpeedKmh), request, options.cache)
+        : await request();
       
       this.currentRoute = transformedData;
       return transformedData;
@@ -154,65 +358,127 @@ class DirectionsManager {
   }
 
   /**
-   * Decode encoded polyline string (Valhalla format)
-   * Valhalla uses standard polyline encoding: [lat, lng] pairs
-   * @param {string} encoded - Encoded polyline string
-   * @returns {Array} - Array of [lng, lat] coordinates (MapLibre format)
+   * Cache key for a directions request: rounded points plus every option that changes the route
+   * @param {Object} origin - {lat, lng}
+   * @param {Object} destination - {lat, lng}
+   * @param {Object} options - getDirections options
+   * @param {number} avgSpeedKmh - Resolved average speed
+   * @returns {string}
    */
-  _decodePolyline(encoded) {
-    if (!encoded || typeof encoded !== 'string') {
-      return [];
+  _directionsCacheKey(origin, destination, options, avgSpeedKmh) {
+    const { waypoints = [], alternatives = 0, profile = 'auto', avoid = [], truck = null } = options;
+    return this.cache.key('directions', {
+      origin: this.cache.roundPoint(origin),
+      destination: this.cache.roundPoint(destination),
+      waypoints: waypoints.map(waypoint => this.cache.roundPoint(waypoint)),
+      alternatives,
+      profile,
+      avoid: [...avoid].sort(),
+      truck: truck ? Object.keys(truck).sort().map(key => [key, truck[key]]) : null,
+      avgSpeedKmh,
+      speedLimits: !!options.speedLimits,
+      language: options.language || this.language,
+      units: this.units
+    });
+  }
+
+  /**
+   * Validate the profile, avoid and truck options and convert them to
+   * Valhalla costing options for the selected profile.
+   * @param {Object} options - getDirections options
+   * @returns {Object} - Costing options (empty when nothing needs to be sent)
+   */
+  _buildCostingOptions(options = {}) {
+    const { profile = 'auto', avoid = [], truck = null } = options;
+
+    if (!ROUTING_PROFILES[profile]) {
+      throw new Error(`Invalid profile "${profile}". Expected one of: ${Object.keys(ROUTING_PROFILES).join(', ')}`);
     }
 
-    const coordinates = [];
-    let index = 0;
-    let lat = 0;
-    let lng = 0;
-
-    const decodeValue = () => {
-      let shift = 0;
-      let result = 0;
-      let byte;
-      do {
-        if (index >= encoded.length) {
-          throw new Error('Unexpected end of polyline string');
+    if (!Array.isArray(avoid)) {
+      throw new Error('avoid must be an array');
+    }
+
+    const costingOptions = {};
+
+    avoid.forEach((feature) => {
+      const avoidOption = AVOID_OPTIONS[feature];
+      if (!avoidOption) {
+        throw new Error(`Invalid avoid option "${feature}". Expected any of: ${Object.keys(AVOID_OPTIONS).join(', ')}`);
+      }
+      if (!avoidOption.profiles.includes(profile)) {
+        throw new Error(`Avoid option "${feature}" is not supported for the ${profile} profile`);
+      }
+      costingOptions[avoidOption.option] = avoidOption.value;
+    });
+
+    if (truck) {
+      if (profile !== 'truck') {
+        throw new Error('Truck options are only supported for the truck profile');
+      }
+      Object.keys(truck).forEach((key) => {
+        const option = TRUCK_OPTIONS[key];
+        if (!option) {
+          throw new Error(`Invalid truck option "${key}". Expected any of: ${Object.keys(TRUCK_OPTIONS).join(', ')}`);
         }
-        byte = encoded.charCodeAt(index++) - 63;
-        result |= (byte & 0x1f) << shift;
-        shift += 5;
-      } while (byte >= 0x20);
-      const delta = ((result & 1) !== 0) ? ~(result >> 1) : (result >> 1);
-      return delta;
-    };
+        const value = truck[key];
+        if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+          throw new Error(`Truck option "${key}" must be a positive number`);
+        }
+        costingOptions[option] = value;
+      });
+    }
 
+    return costingOptions;
+  }
+
+  /**
+   * Decode an encoded route shape with the polyline codec
+   * @param {string} encoded - Encoded polyline string
+   * @param {number} precision - Encoded precision (default: this.polylinePrecision)
+   * @returns {Array} - Array of [lng, lat] coordinates (MapLibre format)
+   */
+  _decodePolyline(encoded, precision = this.polylinePrecision) {
     try {
-      while (index < encoded.length) {
-        // Decode latitude (first in standard polyline encoding)
-        lat += decodeValue();
-        // Decode longitude (second in standard polyline encoding)
-        lng += decodeValue();
-
-        // Convert from 1e-5 degrees to actual degrees
-        const latDeg = lat * 1e-5;
-        const lngDeg = lng * 1e-5;
-
-        // Always add coordinates - we'll validate and fix order later
-        coordinates.push([lngDeg, latDeg]);
-      }
+      return decodePolyline(encoded, precision);
     } catch (error) {
       console.error('Error decoding polyline:', error);
       return [];
     }
-
-    return coordinates;
   }
 
   /**
    * Get icon for maneuver type
    * @param {number} type - Maneuver type
+   * @param {string} profile - Travel mode the route was requested with
    * @returns {string} - Icon emoji/character
    */
-  _getManeuverIcon(type) {
+  _getManeuverIcon(type, profile = 'auto') {
+    // Pedestrian routes use walking icons for the non-turn maneuvers
+    if (profile === 'pedestrian') {
+      const pedestrianIconMap = {
+        0: '🚶', // None
+        1: '🚶', // Start
+        2: '🚶', // Start right
+        3: '🚶', // Start left
+        7: '🚶', // Becomes
+        8: '🚶', // Continue
+        17: '🚶', // Ramp straight
+        22: '🚶', // Stay straight
+        28: '⛴️', // Ferry enter
+        29: '⛴️', // Ferry exit
+        30: '🚌', // Transit
+        31: '🚉', // Transit connection
+        32: '🚶', // Post transit connection
+        39: '🛗', // Elevator
+        40: '🪜', // Steps
+        41: '🪜', // Escalator
+        42: '🏢', // Building enter
+        43: '🚪', // Building exit
+      };
+      if (pedestrianIconMap[type]) return pedestrianIconMap[type];
+    }
+
     // Valhalla maneuver types: https://github.com/valhalla/valhalla/blob/master/valhalla/proto/directions.proto
     const iconMap = {
       0: '📍', // None
@@ -258,12 +524,15 @@ class DirectionsManager {
    * @param {Object} origin - Origin coordinates
    * @param {Object} destination - Destination coordinates
    * @param {number} avgSpeedKmh - Average speed in km/h
+   * @param {Array} waypoints - Waypoints the route was requested with
+   * @param {string} profile - Travel mode the route was requested with
+   * @param {string} language - Language of the formatted strings (default: the manager's language)
    * @returns {Object} - Transformed route data
    */
-  _transformApiResponse(apiResponse, origin, destination, avgSpeedKmh = 30) {
+  _transformApiResponse(apiResponse, origin, destination, avgSpeedKmh = 30, waypoints = [], profile = 'auto', language = this.language) {
     // Check if this is Valhalla format
     if (apiResponse.trip && apiResponse.trip.legs && apiResponse.trip.legs.length > 0) {
-      return this._transformValhallaResponse(apiResponse, origin, destination, avgSpeedKmh);
+      return this._transformValhallaResponse(apiResponse, origin, destination, avgSpeedKmh, waypoints, profile, language);
     }
 
     // Legacy format
@@ -289,104 +558,120 @@ class DirectionsManager {
         lat: destination.lat,
         lng: destination.lng
       },
-      distance: apiResponse.totalDistance ? `${(apiResponse.totalDistance / 1000).toFixed(2)} km` : null,
-      duration: apiResponse.totalDistance ? this._estimateDuration(apiResponse.totalDistance, avgSpeedKmh) : null,
+      waypoints: waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng })),
+      profile: profile,
+      ...this._summarize(apiResponse.totalDistance, null, avgSpeedKmh, language),
       instructions
     };
   }
 
   /**
-   * Transform Valhalla format API response
+   * Transform Valhalla format API response.
+   * Every leg of the trip is decoded and merged into a single route so that
+   * waypoint trips draw and navigate end to end. Per-leg data is kept in `legs`.
    * @param {Object} apiResponse - Valhalla API response
    * @param {Object} origin - Origin coordinates
    * @param {Object} destination - Destination coordinates
    * @param {number} avgSpeedKmh - Average speed in km/h
+   * @param {Array} waypoints - Waypoints the route was requested with
+   * @param {string} profile - Travel mode the route was requested with
+   * @param {string} language - Language of the formatted strings (default: the manager's language)
    * @returns {Object} - Transformed route data
    */
-  _transformValhallaResponse(apiResponse, origin, destination, avgSpeedKmh = 30) {
-    const leg = apiResponse.trip.legs[0];
-    const summary = apiResponse.trip.summary || leg.summary;
+  _transformValhallaResponse(apiResponse, origin, destination, avgSpeedKmh = 30, waypoints = [], profile = 'auto', language = this.language) {
+    const trip = apiResponse.trip;
+    const locations = trip.locations || [];
+    const toLngLat = location => (location ? { lat: location.lat, lng: location.lon ?? location.lng } : null);
 
-    // Decode polyline to get coordinates
-    let coordinates = leg.shape ? this._decodePolyline(leg.shape) : [];
-    
-    // Use trip locations to validate and fix coordinate order/scale
-    if (coordinates.length > 0 && apiResponse.trip.locations && apiResponse.trip.locations.length >= 2) {
-      const startLocation = apiResponse.trip.locations[0];
-      const endLocation = apiResponse.trip.locations[apiResponse.trip.locations.length - 1];
-      
-      const expectedStartLat = startLocation.lat;
-      const expectedStartLng = startLocation.lon || startLocation.lng;
-      const expectedEndLat = endLocation.lat;
-      const expectedEndLng = endLocation.lon || endLocation.lng;
-      
-      const firstCoord = coordinates[0];
-      const lastCoord = coordinates[coordinates.length - 1];
-      
-      // Check if coordinates need to be swapped or scaled
-      // Try different combinations to find the best match
-      const options = [
-        { coords: coordinates, desc: 'original [lng, lat]' },
-        { coords: coordinates.map(c => [c[1], c[0]]), desc: 'swapped [lat, lng]' },
-        { coords: coordinates.map(c => [c[0] / 10, c[1] / 10]), desc: 'scaled /10 [lng, lat]' },
-        { coords: coordinates.map(c => [c[1] / 10, c[0] / 10]), desc: 'swapped and scaled /10 [lat, lng]' },
-      ];
-      
-      let bestOption = options[0];
-      let bestScore = Infinity;
-      
-      for (const option of options) {
-        const first = option.coords[0];
-        const last = option.coords[option.coords.length - 1];
-        
-        // Calculate error for start and end points
-        const startError = Math.abs(first[0] - expectedStartLng) + Math.abs(first[1] - expectedStartLat);
-        const endError = Math.abs(last[0] - expectedEndLng) + Math.abs(last[1] - expectedEndLat);
-        const totalError = startError + endError;
-        
-        if (totalError < bestScore) {
-          bestScore = totalError;
-          bestOption = option;
+    const coordinates = [];
+    const instructions = [];
+    const legs = [];
+    const legAnnotations = [];
+    // Lengths come in the units the route was requested with
+    const metersPerUnit = trip.units === 'miles' ? 1609.344 : 1000;
+
+    trip.legs.forEach((leg, legIndex) => {
+      const legCoordinates = leg.shape ? this._decodePolyline(leg.shape) : [];
+
+      // Consecutive legs share their junction point; drop the duplicate
+      const isJoined = coordinates.length > 0 && legCoordinates.length > 0;
+      const shapeOffset = isJoined ? coordinates.length - 1 : coordinates.length;
+      coordinates.push(...(isJoined ? legCoordinates.slice(1) : legCoordinates));
+      legAnnotations.push({
+        annotations: leg.annotations || leg.annotation || null,
+        segmentCount: Math.max(legCoordinates.length - 1, 0)
+      });
+
+      const legInstructions = (leg.maneuvers || []).map((maneuver) => {
+        // Get coordinate for this maneuver from the shape using begin_shape_index
+        let coord = null;
+        if (maneuver.begin_shape_index !== undefined && legCoordinates[maneuver.begin_shape_index]) {
+          coord = legCoordinates[maneuver.begin_shape_index];
+        } else if (legCoordinates.length > 0) {
+          // Fallback to first coordinate if index not available
+          coord = legCoordinates[0];
         }
-      }
-      
-      // Use the best option if error is reasonable (< 1 degree)
-      if (bestScore < 1.0) {
-        coordinates = bestOption.coords;
-      } else {
-        // If no good match, try using locations directly
-        coordinates = apiResponse.trip.locations.map(loc => [loc.lon || loc.lng, loc.lat]);
-      }
-    }
 
-    // Transform maneuvers into instructions
-    const instructions = (leg.maneuvers || []).map((maneuver, index) => {
-      // Get coordinate for this maneuver from the shape using begin_shape_index
-      let coord = null;
-      if (maneuver.begin_shape_index !== undefined && coordinates[maneuver.begin_shape_index]) {
-        coord = coordinates[maneuver.begin_shape_index];
-      } else if (coordinates.length > 0) {
-        // Fallback to first coordinate if index not available
-        coord = coordinates[0];
-      }
+        // Pedestrian routes are worded for walking, on screen and in voice guidance
+        const walking = profile === 'pedestrian' ? this._pedestrianInstruction(maneuver, language) : null;
+        const instruction = {
+          type: maneuver.type,
+          instruction: walking || maneuver.instruction,
+          verbal_transition_alert_instruction: walking || maneuver.verbal_transition_alert_instruction,
+          verbal_pre_transition_instruction: walking || maneuver.verbal_pre_transition_instruction,
+          verbal_post_transition_instruction: maneuver.verbal_post_transition_instruction,
+          bearing_after: maneuver.bearing_after,
+          time: maneuver.time,
+          length: maneuver.length != null ? (maneuver.length * metersPerUnit) / 1000 : maneuver.length, // Always km
+          coord: coord, // [lng, lat] format
+          icon: this._getManeuverIcon(maneuver.type, profile),
+          index: instructions.length,
+          legIndex: legIndex,
+          shapeIndex: maneuver.begin_shape_index !== undefined ? maneuver.begin_shape_index + shapeOffset : null,
+          // Junction metadata
+          streetNames: maneuver.street_names || [],
+          beginStreetNames: maneuver.begin_street_names || [],
+          sign: this._normalizeSign(maneuver.sign),
+          roundaboutExitCount: maneuver.roundabout_exit_count ?? null,
+          lanes: this._normalizeLanes(maneuver.lanes),
+          toll: !!maneuver.toll,
+          highway: !!maneuver.highway,
+          ferry: !!maneuver.ferry
+        };
+        instructions.push(instruction);
+        return instruction;
+      });
 
-      return {
-        type: maneuver.type,
-        instruction: maneuver.instruction,
-        verbal_pre_transition_instruction: maneuver.verbal_pre_transition_instruction,
-        verbal_post_transition_instruction: maneuver.verbal_post_transition_instruction,
-        bearing_after: maneuver.bearing_after,
-        time: maneuver.time,
-        length: maneuver.length,
-        coord: coord, // [lng, lat] format
-        icon: this._getManeuverIcon(maneuver.type),
-        index: index
-      };
+      const legDistance = leg.summary?.length ? leg.summary.length * metersPerUnit : null; // Convert to meters
+      const legTime = leg.summary?.time ?? null; // Already in seconds
+      // Each leg runs between two consecutive trip locations
+      const legStart = toLngLat(locations[legIndex]);
+      const legEnd = toLngLat(locations[legIndex + 1]);
+
+      legs.push({
+        index: legIndex,
+        geometry: {
+          type: 'LineString',
+          coordinates: legCoordinates
+        },
+        origin: legStart,
+        destination: legEnd,
+        shapeStartIndex: shapeOffset,
+        shapeEndIndex: shapeOffset + Math.max(legCoordinates.length - 1, 0),
+        ...this._summarize(legDistance, legTime, avgSpeedKmh, language),
+        totalDistance: legDistance,
+        totalTime: legTime,
+        instructions: legInstructions
+      });
     });
 
-    // Calculate total distance and time from summary
-    const totalDistance = summary?.length ? summary.length * 1000 : null; // Convert km to meters
-    const totalTime = summary?.time || null; // Already in seconds
+    // Prefer the trip summary; otherwise combine the per-leg totals
+    const summary = trip.summary;
+    const totalDistance = summary?.length
+      ? summary.length * metersPerUnit
+      : (legs.some(leg => leg.totalDistance) ? legs.reduce((sum, leg) => sum + (leg.totalDistance || 0), 0) : null);
+    const totalTime = summary?.time
+      ?? (legs.some(leg => leg.totalTime) ? legs.reduce((sum, leg) => sum + (leg.totalTime || 0), 0) : null);
 
     return {
       ...apiResponse,
@@ -402,49 +687,207 @@ class DirectionsManager {
         lat: destination.lat,
         lng: destination.lng
       },
-      distance: totalDistance ? `${(totalDistance / 1000).toFixed(2)} km` : null,
-      duration: totalTime ? this._formatDuration(totalTime) : (totalDistance ? this._estimateDuration(totalDistance, avgSpeedKmh) : null),
+      waypoints: waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng })),
+      profile: profile,
+      ...this._summarize(totalDistance, totalTime, avgSpeedKmh, language),
       totalDistance: totalDistance,
       totalTime: totalTime,
+      annotations: this._mergeAnnotations(legAnnotations),
+      legs: legs,
       instructions: instructions
     };
   }
 
+  /**
+   * Join the legs' per-segment annotations into lists aligned with the route line.
+   * A leg without a list contributes nulls, so later legs stay aligned.
+   * @param {Array} legAnnotations - [{annotations: {congestion, speed}, segmentCount}] per leg
+   * @returns {Object|null} - {congestion?, speed?} with one value per route segment, or null without annotations
+   */
+  _mergeAnnotations(legAnnotations) {
+    const merged = {};
+    ROUTE_ANNOTATIONS.forEach(key => {
+      const lists = legAnnotations.map(({ annotations, segmentCount }) => (
+        Array.isArray(annotations?.[key]) && annotations[key].length === segmentCount ? annotations[key] : null
+      ));
+      if (lists.every(list => list === null)) return;
+      merged[key] = lists.flatMap((list, index) => list || new Array(legAnnotations[index].segmentCount).fill(null));
+    });
+    return Object.keys(merged).length > 0 ? merged : null;
+  }
+
+  /**
+   * Look up the speed limits along a route. The route shape is sent to the `traceAttributesUrl`
+   * endpoint (Valhalla trace_attributes with `edge_walk`, since the shape follows the road edges
+   * exactly) and each edge's limit is mapped back onto the route segments.
+   * @param {Object} route - Route from getDirections
+   * @returns {Promise<Array|null>} - Speed limit in km/h per route segment (null where unknown), or null when none are known
+   */
+  async getSpeedLimits(route) {
+    if (!this.traceAttributesUrl) {
+      throw new Error('getSpeedLimits requires a traceAttributesUrl (a Valhalla trace_attributes endpoint)');
+    }
+    const coordinates = route?.geometry?.coordinates || [];
+    if (coordinates.length < 2) return null;
+
+    const params = new URLSearchParams({ apiKey: this.apiKey });
+    const response = await fetch(`${this.traceAttributesUrl}?${params.toString()}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        encoded_polyline: encodePolyline(coordinates, this.polylinePrecision),
+        shape_match: 'edge_walk',
+        costing: route.profile || 'auto',
+        units: 'kilometers',
+        filters: { attributes: SPEED_LIMIT_ATTRIBUTES, action: 'include' }
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`Trace attributes API error: ${response.status} - ${response.statusText}`);
+    }
+    return this._speedLimitsFromTraceAttributes(await response.json(), coordinates.length - 1);
+  }
+
+  /**
+   * Map a trace_attributes response onto route segments. Route point i is matched to an edge;
+   * the segment starting at it lies on that edge, or, when the point is the edge's end (a junction),
+   * on the following edge, provided the next point was matched further along the same run.
+   * @param {Object} response - trace_attributes response ({edges, matched_points, units})
+   * @param {number} segmentCount - Number of segments in the route line
+   * @returns {Array|null} - Speed limit in km/h per segment (null where unknown), or null when none are known
+   */
+  _speedLimitsFromTraceAttributes(response, segmentCount) {
+    const edges = Array.isArray(response?.edges) ? response.edges : [];
+    const points = Array.isArray(response?.matched_points) ? response.matched_points : [];
+    const kmPerUnit = response?.units === 'miles' ? 1.609344 : 1;
+
+    const limits = new Array(segmentCount).fill(null);
+    for (let i = 0; i < segmentCount; i++) {
+      const point = points[i];
+      if (!point || point.type === 'unmatched' || !Number.isInteger(point.edge_index)) continue;
+      let edgeIndex = point.edge_index;
+      const next = points[i + 1];
+      const continues = next && next.type !== 'unmatched' && Number.isInteger(next.edge_index)
+        && next.edge_index > edgeIndex && !point.end_route_discontinuity && !next.begin_route_discontinuity;
+      if (point.distance_along_edge >= 1 && continues) edgeIndex += 1;
+      const speedLimit = edges[Math.min(edgeIndex, edges.length - 1)]?.speed_limit;
+      // Unknown limits are missing or 0; "unlimited" stretches have no limit to exceed
+      if (typeof speedLimit === 'number' && speedLimit > 0) limits[i] = Math.round(speedLimit * kmPerUnit);
+    }
+    return limits.some(limit => limit !== null) ? limits : null;
+  }
+
+  /**
+   * Walking wording for a pedestrian maneuver, with the street it continues on when known
+   * @param {Object} maneuver - Valhalla maneuver
+   * @param {string} language - Language of the text
+   * @returns {string|null} - Instruction text, or null to keep the API text (e.g. ferries, transit)
+   */
+  _pedestrianInstruction(maneuver, language) {
+    const key = PEDESTRIAN_WORDING[maneuver.type];
+    if (!key) return null;
+    const street = maneuver.street_names?.[0];
+    const isDestination = maneuver.type >= 4 && maneuver.type <= 6;
+    if (!street || isDestination) return t(language, key);
+    if (key === 'walk.start') return t(language, 'walk.startOn', { street });
+    if (key === 'nav.continueWalking') return t(language, 'walk.continueOn', { street });
+    return t(language, 'walk.along', { instruction: t(language, key), street });
+  }
+
+  /**
+   * Flatten a Valhalla maneuver sign into text lists
+   * @param {Object} sign - Maneuver sign ({exit_number_elements, exit_branch_elements, ...})
+   * @returns {Object|null} - {exitNumbers, exitBranches, exitToward, exitNames}, or null without a sign
+   */
+  _normalizeSign(sign) {
+    if (!sign) return null;
+    const texts = elements => (Array.isArray(elements) ? elements.map(element => element.text).filter(Boolean) : []);
+    const normalized = {
+      exitNumbers: texts(sign.exit_number_elements),
+      exitBranches: texts(sign.exit_branch_elements),
+      exitToward: texts(sign.exit_toward_elements),
+      exitNames: texts(sign.exit_name_elements)
+    };
+    return Object.values(normalized).some(list => list.length > 0) ? normalized : null;
+  }
+
+  /**
+   * Normalize lane information
+   * @param {Array} lanes - Lanes from left to right, as {indications|directions, valid, active}; Valhalla
+   *   sends `directions`, `valid` and `active` as direction bitmasks
+   * @returns {Array|null} - [{indications: ['left', 'through'], valid, active}], or null without lanes
+   */
+  _normalizeLanes(lanes) {
+    if (!Array.isArray(lanes) || lanes.length === 0) return null;
+    const decode = mask => Object.keys(LANE_DIRECTION_BITS).filter(name => mask & LANE_DIRECTION_BITS[name]);
+    const isSet = value => (typeof value === 'number' ? decode(value).length > 0 : !!value);
+    return lanes.map(lane => {
+      const directions = lane.indications || lane.directions;
+      const indications = typeof directions === 'number' ? decode(directions) : directions;
+      return {
+        indications: indications?.length ? indications : ['none'],
+        // Lanes that can be used for the maneuver; `active` marks the preferred ones
+        valid: isSet(lane.valid ?? lane.active),
+        active: isSet(lane.active)
+      };
+    });
+  }
+
+  /**
+   * Formatter for a language (default: the manager's) and the manager's unit system
+   * @param {string} language - Language of the formatted strings
+   * @returns {Formatter}
+   */
+  _formatter(language = this.language) {
+    return new Formatter({ language, units: this.units });
+  }
+
+  /**
+   * Display strings for a route or leg, with the numbers they were made from
+   * @param {number|null} distanceMeters - Distance in meters
+   * @param {number|null} timeSeconds - Travel time from the API in seconds
+   * @param {number} avgSpeedKmh - Speed used to estimate the time when the API has none
+   * @param {string} language - Language of the strings (default: the manager's language)
+   * @returns {Object} - {distance, duration, durationSeconds}; durationSeconds is the API time or the estimate
+   */
+  _summarize(distanceMeters, timeSeconds, avgSpeedKmh, language = this.language) {
+    const durationSeconds = timeSeconds || (distanceMeters ? this._estimateDuration(distanceMeters, avgSpeedKmh) : null);
+    return {
+      distance: distanceMeters ? this._formatDistance(distanceMeters, language) : null,
+      duration: durationSeconds ? this._formatDuration(durationSeconds, language) : null,
+      durationSeconds
+    };
+  }
+
   /**
    * Format duration from seconds to human-readable string
    * @param {number} seconds - Duration in seconds
+   * @param {string} language - Language of the string (default: the manager's language)
    * @returns {string} - Formatted duration
    */
-  _formatDuration(seconds) {
-    const minutes = Math.round(seconds / 60);
-    if (minutes < 60) {
-      return `${minutes} min`;
-    } else {
-      const hours = Math.floor(minutes / 60);
-      const mins = minutes % 60;
-      return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
-    }
+  _formatDuration(seconds, language = this.language) {
+    return this._formatter(language).duration(seconds);
   }
 
+  /**
+   * Format a route distance for the current language and unit system
+   * @param {number} distanceMeters - Distance in meters
+   * @param {string} language - Language of the string (default: the manager's language)
+   * @returns {string} - Formatted distance, e.g. '12.34 km' or '7.67 mi'
+   */
+  _formatDistance(distanceMeters, language = this.language) {
+    return this._formatter(language).distance(distanceMeters, { fractionDigits: 2, smallUnits: false });
+  }
 
   /**
    * Estimate travel time based on distance (assuming average speed in km/h)
    * @param {number} distanceMeters - Distance in meters
    * @param {number} avgSpeedKmh - Average speed in km/h
-   * @returns {string} - Estimated duration
+   * @returns {number} - Estimated duration in seconds, rounded to whole minutes
    */
   _estimateDuration(distanceMeters, avgSpeedKmh = 30) {
-    const distanceKm = distanceMeters / 1000;
-    const durationHours = distanceKm / avgSpeedKmh;
-    const durationMinutes = Math.round(durationHours * 60);
-    
-    if (durationMinutes < 60) {
-      return `${durationMinutes} min`;
-    } else {
-      const hours = Math.floor(durationMinutes / 60);
-      const minutes = durationMinutes % 60;
-      return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
-    }
+    const seconds = estimateDuration(distanceMeters, avgSpeedKmh);
+    return seconds === null ? null : Math.round(seconds / 60) * 60;
   }
 
   /**
@@ -462,6 +905,11 @@ class DirectionsManager {
    * @param {number} options.routeStyle.opacity - Route line opacity 0-1 (default: 0.8)
    * @param {string} options.routeStyle.lineJoin - Line join style: 'round', 'bevel', 'miter' (default: 'round')
    * @param {string} options.routeStyle.lineCap - Line cap style: 'round', 'butt', 'square' (default: 'round')
+   * @param {string} options.routeStyle.colorBy - Color segments by the route's 'congestion' or 'speed' annotation, when present
+   * @param {Object} options.traveledStyle - Styling of the part already traveled during navigation ({color, width, opacity})
+   * @param {boolean} options.showAlternatives - Whether to draw the route's alternatives (default: true)
+   * @param {Object} options.alternativeStyle - Alternative route line styling ({color, width, opacity})
+   * @param {boolean} options.fitBounds - Whether to fit the map to the route (default: true)
    */
   displayRoute(routeData, options = {}) {
     if (!this.map || !routeData) return;
@@ -472,7 +920,11 @@ class DirectionsManager {
       destinationIcon = null,
       waypointIcon = null,
       showInstructions = false,
-      routeStyle = {}
+      routeStyle = {},
+      showAlternatives = true,
+      alternativeStyle = {},
+      traveledStyle = {},
+      fitBounds = true
     } = options;
     
     // Default route style
@@ -483,6 +935,10 @@ class DirectionsManager {
       lineJoin: routeStyle.lineJoin || 'round',
       lineCap: routeStyle.lineCap || 'round'
     };
+    if (routeStyle.colorBy && !ROUTE_ANNOTATIONS.includes(routeStyle.colorBy)) {
+      throw new Error(`Invalid colorBy "${routeStyle.colorBy}". Expected one of: ${ROUTE_ANNOTATIONS.join(', ')}`);
+    }
+    const lineColor = this._routeLineColor(style.color, routeStyle.colorBy);
 
     // Ensure route layer is initialized
     if (!this.map.getSource('route')) {
@@ -491,6 +947,8 @@ class DirectionsManager {
 
     // Clear existing route
     this.clearRoute();
+    this.currentRoute = routeData;
+    this._lastDisplayOptions = options;
 
     // Get coordinates - handle both transformed data and raw API response
     let coordinates = [];
@@ -508,14 +966,7 @@ class DirectionsManager {
     // Update route geometry if we have coordinates
     if (coordinates.length > 0 && this.map.getSource('route')) {
       try {
-        this.map.getSource('route').setData({
-          type: 'Feature',
-          properties: {},
-          geometry: {
-            type: 'LineString',
-            coordinates: coordinates
-          }
-        });
+        this.map.getSource('route').setData(this._routeLineData(coordinates, this._routeColorValues(routeData)));
         
         // Ensure route layer exists
         if (!this.map.getLayer('route')) {
@@ -539,7 +990,7 @@ class DirectionsManager {
                 'visibility': 'visible'
               },
               paint: {
-                'line-color': style.color,
+                'line-color': lineColor,
                 'line-width': style.width,
                 'line-opacity': style.opacity
               }
@@ -553,9 +1004,13 @@ class DirectionsManager {
         this.map.setLayoutProperty('route', 'visibility', 'visible');
         this.map.setLayoutProperty('route', 'line-join', style.lineJoin);
         this.map.setLayoutProperty('route', 'line-cap', style.lineCap);
-        this.map.setPaintProperty('route', 'line-color', style.color);
+        this.map.setPaintProperty('route', 'line-color', lineColor);
         this.map.setPaintProperty('route', 'line-width', style.width);
         this.map.setPaintProperty('route', 'line-opacity', style.opacity);
+
+        if (this.map.getLayer('route-traveled')) {
+          this._styleTraveledLayer(traveledStyle, style);
+        }
         
         console.log('Route displayed with', coordinates.length, 'coordinates');
       } catch (error) {
@@ -567,6 +1022,17 @@ class DirectionsManager {
       console.warn('Route source exists:', !!this.map.getSource('route'));
     }
 
+    // Draw alternatives underneath the primary route
+    if (showAlternatives && Array.isArray(routeData.alternatives) && routeData.alternatives.length > 0) {
+      this._addAlternativeLayers(routeData.alternatives, {
+        color: alternativeStyle.color || '#7a8fa6',
+        width: alternativeStyle.width || style.width,
+        opacity: alternativeStyle.opacity !== undefined ? alternativeStyle.opacity : 0.5,
+        lineJoin: style.lineJoin,
+        lineCap: style.lineCap
+      });
+    }
+
     // Add markers if requested
     if (showMarkers) {
       this._addRouteMarkers(routeData, {
@@ -582,7 +1048,107 @@ class DirectionsManager {
     }
 
     // Fit map to route bounds
-    this._fitMapToRoute(routeData);
+    if (fitBounds) {
+      this._fitMapToRoute(routeData);
+    }
+  }
+
+  /**
+   * Draw alternative routes as dimmed, clickable lines on their own layers
+   * @param {Array} alternatives - Transformed alternative routes
+   * @param {Object} style - Resolved alternative line style
+   */
+  _addAlternativeLayers(alternatives, style) {
+    alternatives.forEach((alternative, index) => {
+      const coordinates = alternative?.geometry?.coordinates || [];
+      if (coordinates.length === 0) return;
+
+      const id = `route-alt-${index}`;
+      try {
+        this.map.addSource(id, {
+          type: 'geojson',
+          data: {
+            type: 'Feature',
+            properties: { alternativeIndex: index },
+            geometry: {
+              type: 'LineString',
+              coordinates: coordinates
+            }
+          }
+        });
+
+        // Keep alternatives below the primary route line
+        this.map.addLayer({
+          id: id,
+          type: 'line',
+          source: id,
+          layout: {
+            'line-join': style.lineJoin,
+            'line-cap': style.lineCap,
+            'visibility': 'visible'
+          },
+          paint: {
+            'line-color': style.color,
+            'line-width': style.width,
+            'line-opacity': style.opacity
+          }
+        }, this.map.getLayer('route') ? 'route' : undefined);
+      } catch (error) {
+        console.error('Error adding alternative route layer:', error);
+        return;
+      }
+
+      const handlers = {
+        click: (e) => {
+          if (e && e.originalEvent) e.originalEvent.stopPropagation();
+          this.selectAlternative(index);
+        },
+        mouseenter: () => {
+          this.map.getCanvas().style.cursor = 'pointer';
+        },
+        mouseleave: () => {
+          this.map.getCanvas().style.cursor = '';
+        }
+      };
+      Object.keys(handlers).forEach(type => this.map.on(type, id, handlers[type]));
+
+      this.alternativeLayers.push({ id, handlers });
+    });
+  }
+
+  /**
+   * Remove all alternative route layers, sources and their handlers
+   */
+  _clearAlternativeLayers() {
+    this.alternativeLayers.forEach(({ id, handlers }) => {
+      Object.keys(handlers).forEach(type => this.map.off(type, id, handlers[type]));
+      if (this.map.getLayer(id)) this.map.removeLayer(id);
+      if (this.map.getSource(id)) this.map.removeSource(id);
+    });
+    this.alternativeLayers = [];
+  }
+
+  /**
+   * Promote one of the current route's alternatives to the primary route.
+   * The previous primary route becomes an alternative and a `routeselected`
+   * event is emitted with the newly selected route.
+   * @param {number} index - Index into the current route's `alternatives`
+   * @returns {Object|null} - The selected route
+   */
+  selectAlternative(index) {
+    const previousRoute = this.currentRoute;
+    const alternatives = previousRoute?.alternatives || [];
+    const selected = alternatives[index];
+    if (!selected) return null;
+
+    const route = {
+      ...selected,
+      alternatives: [{ ...previousRoute, alternatives: [] }, ...alternatives.filter((_, i) => i !== index)]
+    };
+
+    this.displayRoute(route, { ...this._lastDisplayOptions, fitBounds: false });
+    this.trigger('routeselected', { route, index, previousRoute });
+    return route;
   }
 
   /**
@@ -702,6 +1268,14 @@ class DirectionsManager {
       }
     });
 
+    // Clear the traveled part left by navigation
+    if (this.map.getSource('route-traveled')) {
+      this.map.getSource('route-traveled').setData(this._routeLineData([]));
+    }
+
+    // Clear alternative routes
+    this._clearAlternativeLayers();
+
     // Clear markers
     this._clearMarkers();
 
@@ -745,13 +1319,192 @@ class DirectionsManager {
       distance: this.currentRoute.distance,
       duration: this.currentRoute.duration,
       totalDistance: this.currentRoute.totalDistance,
+      totalTime: this.currentRoute.totalTime,
       timeTaken: this.currentRoute.timetaken,
       origin: this.currentRoute.origin,
       destination: this.currentRoute.destination,
-      waypoints: this.currentRoute.waypoints || []
+      waypoints: this.currentRoute.waypoints || [],
+      legs: (this.currentRoute.legs || []).map(leg => ({
+        index: leg.index,
+        origin: leg.origin,
+        destination: leg.destination,
+        distance: leg.distance,
+        duration: leg.duration,
+        totalDistance: leg.totalDistance,
+        totalTime: leg.totalTime
+      }))
     };
   }
 
+  /**
+   * Export a route to a file format other devices and tools understand
+   * @param {Object} route - Route data (default: the current route)
+   * @param {string} format - 'geojson' (default), 'gpx' or 'kml'
+   * @returns {string} - Serialized route with the route line, origin/destination/waypoint
+   *   points and every instruction as a named point
+   */
+  exportRoute(route = this.currentRoute, format = 'geojson') {
+    if (typeof route === 'string') {
+      format = route;
+      route = this.currentRoute;
+    }
+    return serializeRoute(route, format);
+  }
+
+  /**
+   * Import a route exported by `exportRoute` (or another GeoJSON/GPX/KML route)
+   * @param {string|Object} text - Serialized route (a parsed GeoJSON object is also accepted)
+   * @param {string} format - 'geojson' (default), 'gpx' or 'kml'
+   * @returns {Object} - Route data accepted by `displayRoute` and `NavController.start`
+   */
+  importRoute(text, format = 'geojson') {
+    const route = parseRoute(text, format);
+    const profile = route.profile || 'auto';
+    const avgSpeedKmh = ROUTING_PROFILES[profile]?.avgSpeedKmh ?? 30;
+
+    route.profile = profile;
+    Object.assign(route, this._summarize(route.totalDistance, route.totalTime, avgSpeedKmh));
+    route.instructions = route.instructions.map(step => ({
+      ...step,
+      icon: step.icon || this._getManeuverIcon(step.type, profile)
+    }));
+
+    return route;
+  }
+
+  /**
+   * Split the displayed route at the user's position: the part already traveled is drawn
+   * on its own layer (`route-traveled`) and the `route` layer keeps only the part ahead.
+   * NavController calls this on every progress update.
+   * @param {Object} snapped - Position on the route line, as returned by `nearestOnLine`: {index, point: {lat, lng}}
+   */
+  updateRouteProgress(snapped) {
+    const coordinates = this.currentRoute?.geometry?.coordinates;
+    if (!this.map || !Array.isArray(coordinates) || coordinates.length < 2 || !snapped?.point) return;
+    if (!this.map.getSource('route') || !this._ensureTraveledLayer()) return;
+
+    const index = Math.min(Math.max(snapped.index ?? 0, 0), coordinates.length - 2);
+    const split = [snapped.point.lng, snapped.point.lat];
+    const values = this._routeColorValues(this.currentRoute);
+
+    this.map.getSource('route-traveled').setData(this._routeLineData([...coordinates.slice(0, index + 1), split]));
+    this.map.getSource('route').setData(this._routeLineData([split, ...coordinates.slice(index + 1)], values ? values.slice(index) : null));
+  }
+
+  /**
+   * Draw the whole displayed route as remaining again, e.g. when navigation stops
+   */
+  resetRouteProgress() {
+    const coordinates = this.currentRoute?.geometry?.coordinates;
+    if (!this.map || !Array.isArray(coordinates)) return;
+    if (this.map.getSource('route-traveled')) {
+      this.map.getSource('route-traveled').setData(this._routeLineData([]));
+    }
+    if (this.map.getSource('route')) {
+      this.map.getSource('route').setData(this._routeLineData(coordinates, this._routeColorValues(this.currentRoute)));
+    }
+  }
+
+  _ensureTraveledLayer() {
+    if (this.map.getSource('route-traveled')) return true;
+    if (!this.map.isStyleLoaded()) return false;
+
+    try {
+      this.map.addSource('route-traveled', {
+        type: 'geojson',
+        data: this._routeLineData([])
+      });
+      // Underneath the remaining route, so the split point shows the route color
+      this.map.addLayer({
+        id: 'route-traveled',
+        type: 'line',
+        source: 'route-traveled',
+        layout: {
+          'line-join': 'round',
+          'line-cap': 'round'
+        },
+        paint: {}
+      }, this.map.getLayer('route') ? 'route' : undefined);
+    } catch (error) {
+      console.error('Error adding traveled route layer:', error);
+      return false;
+    }
+
+    const { routeStyle = {}, traveledStyle = {} } = this._lastDisplayOptions || {};
+    this._styleTraveledLayer(traveledStyle, { width: routeStyle.width || 4, opacity: routeStyle.opacity ?? 0.8 });
+    return true;
+  }
+
+  _styleTraveledLayer(traveledStyle, routeStyle) {
+    this.map.setPaintProperty('route-traveled', 'line-color', traveledStyle.color || '#9aa4b1');
+    this.map.setPaintProperty('route-traveled', 'line-width', traveledStyle.width || routeStyle.width);
+    this.map.setPaintProperty('route-traveled', 'line-opacity', traveledStyle.opacity ?? routeStyle.opacity);
+  }
+
+  /**
+   * Per-segment values the route line is colored by, if the route carries them
+   * @param {Object} routeData - Route data
+   * @returns {Array|null} - One value per route segment, or null for a single-color line
+   */
+  _routeColorValues(routeData) {
+    const colorBy = this._lastDisplayOptions?.routeStyle?.colorBy;
+    const values = colorBy ? routeData?.annotations?.[colorBy] : null;
+    const segmentCount = (routeData?.geometry?.coordinates?.length || 0) - 1;
+    return Array.isArray(values) && values.length === segmentCount ? values : null;
+  }
+
+  /**
+   * Route line GeoJSON. With per-segment values the line is cut into runs of segments
+   * sharing a value, which the layer colors through the `value` property.
+   * @param {Array} coordinates - Line as [lng, lat] pairs
+   * @param {Array|null} values - One value per segment
+   * @returns {Object} - Feature or FeatureCollection
+   */
+  _routeLineData(coordinates, values = null) {
+    const line = (points, properties = {}) => ({
+      type: 'Feature',
+      properties,
+      geometry: { type: 'LineString', coordinates: points }
+    });
+    if (!values || coordinates.length < 2) return line(coordinates);
+
+    const features = [];
+    const segmentCount = coordinates.length - 1;
+    let start = 0;
+    for (let i = 1; i <= segmentCount; i++) {
+      if (i === segmentCount || values[i] !== values[start]) {
+        features.push(line(coordinates.slice(start, i + 1), { value: values[start] ?? null }));
+        start = i;
+      }
+    }
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * Line color, or a data expression coloring each segment by congestion level or speed
+   * @param {string} color - Route color, used for free-flowing and unknown segments
+   * @param {string} colorBy - 'congestion', 'speed' or nothing for a single color
+   * @returns {string|Array}
+   */
+  _routeLineColor(color, colorBy) {
+    if (colorBy === 'congestion') {
+      return ['match', ['get', 'value'],
+        'moderate', CONGESTION_COLORS.moderate,
+        'heavy', CONGESTION_COLORS.heavy,
+        'severe', CONGESTION_COLORS.severe,
+        color];
+    }
+    if (colorBy === 'speed') {
+      // Speeds are in m/s; segments without one count as free-flowing
+      return ['interpolate', ['linear'], ['coalesce', ['get', 'value'], 1000],
+        0, CONGESTION_COLORS.severe,
+        15 / 3.6, CONGESTION_COLORS.heavy,
+        35 / 3.6, CONGESTION_COLORS.moderate,
+        60 / 3.6, color];
+    }
+    return color;
+  }
+
   /**
    * Update route styling
    * @param {Object} style - Style options
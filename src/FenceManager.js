@@ -228,20 +228,7 @@ class FenceManager {
     }
 
     this.fencePoints.push(lngLat);
-
-    // If options specify an overlay for this fence and we don't yet have one queued, set it
-    if (options && options.overlayHtml && !this.currentFenceOverlayHtml) {
-      this.currentFenceOverlayHtml = options.overlayHtml;
-      this.currentFenceOverlayOptions = options.overlayOptions || {};
-    }
-    // Capture optional fence name for storage/removal by name
-    if (options && options.name && !this.currentFenceName) {
-      this.currentFenceName = options.name;
-    }
-    // If options specify persistence for this fence
-    if (options && typeof options.persistent === 'boolean') {
-      this.currentFencePersistent = options.persistent;
-    }
+    this._applyFencePointOptions(options);
     
     const markerImage = customImage || 'https://cdn-icons-png.flaticon.com/512/484/484167.png';
     // Wrap user click to allow closing when first marker is clicked
@@ -279,6 +266,50 @@ class FenceManager {
     }
   }
 
+  // Add all vertices of a fence at once, without point markers, and draw it once.
+  // Generated fences (e.g. isochrones) can have hundreds of vertices; drawing per vertex
+  // would update the map source that many times.
+  addFencePoints(points, color = null, options = null, borderColor = null) {
+    if (!this.map) throw new Error("Map not initialized.");
+    if (!Array.isArray(points) || points.length === 0) return;
+
+    if (color) {
+      this.currentFenceColor = color;
+    }
+    if (borderColor) {
+      this.currentFenceBorderColor = borderColor;
+    }
+    if (this.isFenceCompleted()) {
+      this.startNewFence();
+    }
+
+    const isFirstPoint = this.fencePoints.length === 0;
+    this.fencePoints.push(...points);
+    this._applyFencePointOptions(options);
+
+    if (isFirstPoint) {
+      this.startFenceDrawing();
+    }
+    this.drawFence();
+  }
+
+  // Overlay, name and persistence options given with a fence point
+  _applyFencePointOptions(options) {
+    // If options specify an overlay for this fence and we don't yet have one queued, set it
+    if (options && options.overlayHtml && !this.currentFenceOverlayHtml) {
+      this.currentFenceOverlayHtml = options.overlayHtml;
+      this.currentFenceOverlayOptions = options.overlayOptions || {};
+    }
+    // Capture optional fence name for storage/removal by name
+    if (options && options.name && !this.currentFenceName) {
+      this.currentFenceName = options.name;
+    }
+    // If options specify persistence for this fence
+    if (options && typeof options.persistent === 'boolean') {
+      this.currentFencePersistent = options.persistent;
+    }
+  }
+
   startFenceDrawing() {
     if (!this.map) return;
 
@@ -748,18 +779,35 @@ class FenceManager {
   }
 
   isPointInsideFence(lngLat) {
-    if (this.fencePoints.length < 3) return false;
+    return this._isPointInPolygon(lngLat, this.fencePoints);
+  }
+
+  // Check a point against a stored fence, looked up by id or name
+  isPointInsideStoredFence(fenceIdOrName, lngLat) {
+    const target = fenceIdOrName != null ? String(fenceIdOrName) : fenceIdOrName;
+    const fence = this.fences.find(f => String(f.id) === target || f.name === fenceIdOrName);
+    if (!fence) return false;
+    return this._isPointInPolygon(lngLat, fence.points);
+  }
+
+  // All stored fences containing the point (e.g. every service area a customer is in)
+  getFencesContainingPoint(lngLat) {
+    return this.fences.filter(fence => this._isPointInPolygon(lngLat, fence.points));
+  }
+
+  _isPointInPolygon(lngLat, points) {
+    if (!points || points.length < 3) return false;
 
     // Simple point-in-polygon test using ray casting algorithm
     const x = lngLat[0];
     const y = lngLat[1];
     let inside = false;
 
-    for (let i = 0, j = this.fencePoints.length - 1; i < this.fencePoints.length; j = i++) {
-      const xi = this.fencePoints[i][0];
-      const yi = this.fencePoints[i][1];
-      const xj = this.fencePoints[j][0];
-      const yj = this.fencePoints[j][1];
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const xi = points[i][0];
+      const yi = points[i][1];
+      const xj = points[j][0];
+      const yj = points[j][1];
 
       if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
         inside = !inside;
@@ -0,0 +1,123 @@
+import { t, formatNumber, formatDuration, formatTime } from './i18n.js';
+
+// Supported unit systems
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const METERS_PER_MILE = 1609.344;
+const FEET_PER_METER = 3.28084;
+
+/**
+ * Formats distances, durations and arrival times for display and speech.
+ *
+ * All inputs are raw numbers (meters, seconds, timestamps); the unit system
+ * picks meters/kilometers or feet/miles and the language picks the wording.
+ *
+ * @example
+ * const formatter = new Formatter({ language: 'en', units: 'imperial' });
+ * formatter.distance(120);             // '390 ft'
+ * formatter.distance(5000);            // '3.1 mi'
+ * formatter.duration(5400);            // '1h 30m'
+ * formatter.speed(13.9);               // '31 mph'
+ * formatter.clockTime(Date.now());     // '2:45 PM'
+ */
+class Formatter {
+  /**
+   * @param {Object} options - Formatter options
+   * @param {string} options.language - Locale code (default: 'en')
+   * @param {string} options.units - 'metric' or 'imperial' (default: 'metric')
+   */
+  constructor(options = {}) {
+    const { language = 'en', units = 'metric' } = options;
+    if (!UNIT_SYSTEMS.includes(units)) {
+      throw new Error(`Invalid units "${units}". Expected one of: ${UNIT_SYSTEMS.join(', ')}`);
+    }
+    this.language = language;
+    this.units = units;
+  }
+
+  /**
+   * Format a distance, e.g. '850 m', '3.2 km', '390 ft' or '2.1 mi'
+   * @param {number} meters - Distance in meters
+   * @param {Object} options - Formatting options
+   * @param {number} options.fractionDigits - Decimal places of km/mi values (default: 1 below 10, else 0)
+   * @param {boolean} options.smallUnits - Use m/ft for short distances (default: true)
+   * @returns {string}
+   */
+  distance(meters, options = {}) {
+    const { fractionDigits, smallUnits = true } = options;
+    const large = this.units === 'imperial' ? meters / METERS_PER_MILE : meters / 1000;
+
+    // Below 1 km, or a tenth of a mile, whole meters/feet read better
+    if (smallUnits && large < (this.units === 'imperial' ? 0.1 : 1)) {
+      if (this.units === 'imperial') {
+        const feet = Math.round((meters * FEET_PER_METER) / 10) * 10;
+        return t(this.language, 'distance.ft', { value: formatNumber(this.language, feet) });
+      }
+      const rounded = meters < 100 ? Math.round(meters) : Math.round(meters / 10) * 10;
+      return t(this.language, 'distance.m', { value: formatNumber(this.language, rounded) });
+    }
+
+    const digits = fractionDigits ?? (large >= 10 ? 0 : 1);
+    const key = this.units === 'imperial' ? 'distance.mi' : 'distance.km';
+    return t(this.language, key, { value: formatNumber(this.language, large, { fractionDigits: digits }) });
+  }
+
+  /**
+   * Format a distance for speech, rounded the way people say it ('150 meters', '0.5 miles')
+   * @param {number} meters - Distance in meters
+   * @returns {string}
+   */
+  spokenDistance(meters) {
+    if (this.units === 'imperial') {
+      const feet = meters * FEET_PER_METER;
+      if (feet < 1000) {
+        const rounded = Math.max(Math.round(feet / 50) * 50, 50);
+        return t(this.language, 'voice.feet', { value: formatNumber(this.language, rounded) });
+      }
+      const miles = Math.round((meters / METERS_PER_MILE) * 10) / 10;
+      return t(this.language, 'voice.miles', { value: formatNumber(this.language, miles) });
+    }
+    if (meters >= 1000) {
+      const km = Math.round(meters / 100) / 10;
+      return t(this.language, 'voice.kilometers', { value: formatNumber(this.language, km) });
+    }
+    const rounded = Math.max(Math.round(meters / 50) * 50, 50);
+    return t(this.language, 'voice.meters', { value: formatNumber(this.language, rounded) });
+  }
+
+  /**
+   * Format a speed, e.g. '50 km/h' or '31 mph'
+   * @param {number} metersPerSecond - Speed in m/s
+   * @param {Object} options - Formatting options
+   * @param {boolean} options.unit - Append the unit; false gives just the number, e.g. for a speed limit sign (default: true)
+   * @returns {string}
+   */
+  speed(metersPerSecond, options = {}) {
+    const { unit = true } = options;
+    const perHour = metersPerSecond * 3600;
+    const value = Math.round(this.units === 'imperial' ? perHour / METERS_PER_MILE : perHour / 1000);
+    const number = formatNumber(this.language, value);
+    if (!unit) return number;
+    return t(this.language, this.units === 'imperial' ? 'speed.mph' : 'speed.kmh', { value: number });
+  }
+
+  /**
+   * Format a duration, e.g. '25 min' or '1h 30m'
+   * @param {number} seconds - Duration in seconds
+   * @returns {string}
+   */
+  duration(seconds) {
+    return formatDuration(this.language, seconds);
+  }
+
+  /**
+   * Format an arrival time as a clock time, e.g. '2:45 PM'
+   * @param {Date|number} time - Date or timestamp in milliseconds
+   * @returns {string}
+   */
+  clockTime(time) {
+    return formatTime(this.language, time);
+  }
+}
+
+export default Formatter;
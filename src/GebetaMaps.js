@@ -3,16 +3,31 @@ import ClusteringManager from './ClusteringManager.js';
 import FenceManager from './FenceManager.js';
 import DirectionsManager from './DirectionsManager.js';
 import GeocodingManager from './GeocodingManager.js';
+import MatrixManager from './MatrixManager.js';
+import RouteOptimizer from './RouteOptimizer.js';
+import IsochroneManager from './IsochroneManager.js';
 import NavController from './NavController.js';
-import TrackingClient, { HttpTrackingClient } from './TrackingClient.js';
+import { NavigationUI } from './NavigationUI.js';
+import { createSessionStore } from './NavigationSession.js';
+import { createRequestCache } from './RequestCache.js';
+import { t } from './i18n.js';
+import { UNIT_SYSTEMS } from './Formatter.js';
+import TrackingClient, { HttpTrackingClient, BrowserLocationProvider } from './TrackingClient.js';
+import { FilteredLocationProvider } from './LocationFilter.js';
 import './style.css';
 
 class GebetaMaps {
-  constructor({ apiKey, clustering = {} }) {
+  constructor({ apiKey, clustering = {}, cache = {}, language = 'en', units = 'metric', session = {}, traceAttributesUrl = null }) {
     if (!apiKey) {
       console.error("An API key is required for Gebeta Maps.");
     }
     this.apiKey = apiKey;
+    // Language for API responses, navigation text and controls ('en', 'am', 'om' or a registered locale)
+    this.language = language;
+    // Unit system for formatted distances ('metric' or 'imperial')
+    this.units = this._validateUnits(units);
+    // Valhalla trace_attributes endpoint for route speed limits (the directions API returns none)
+    this.traceAttributesUrl = traceAttributesUrl;
     this.map = null;
     this.markerList = [];
     
@@ -34,8 +49,21 @@ class GebetaMaps {
     // Navigation / tracking
     this.navController = null;
     this.trackingClient = null;
+    this.navigationUI = null;
 
-    this.geocodingManager = new GeocodingManager(apiKey);
+    // Running navigation is saved here so it can be resumed after a page reload (false disables it)
+    this.sessionStore = createSessionStore(session);
+    this._navigationContext = null;
+    this._sessionUnsubscribers = [];
+    this._lastSessionSave = 0;
+
+    // One response cache shared by directions and geocoding (false disables caching)
+    this.requestCache = createRequestCache(cache);
+
+    this.geocodingManager = new GeocodingManager(apiKey, { cache: this.requestCache, language });
+    this.matrixManager = new MatrixManager(apiKey);
+    this.routeOptimizer = new RouteOptimizer(apiKey, this.matrixManager);
+    this.isochroneManager = new IsochroneManager(apiKey);
 
     // Fullscreen popup state
     this._fullscreen = {
@@ -53,18 +81,15 @@ class GebetaMaps {
       styles: {
         standard: {
           url: 'https://tiles.gebeta.app/styles/standard/style.json',
-          imageUrl: 'https://tiles.gebeta.app/static/standard.jpg',
-          label: 'Standard'
+          imageUrl: 'https://tiles.gebeta.app/static/standard.jpg'
         },
         satellite: {
           url: 'https://tiles.gebeta.app/styles/raster/raster.json',
-          imageUrl: 'https://tiles.gebeta.app/static/satellite.jpg',
-          label: 'Satellite'
+          imageUrl: 'https://tiles.gebeta.app/static/satellite.jpg'
         },
         terrain: {
           url: 'https://tiles.gebeta.app/styles/standard/terrain/terrain.json',
-          imageUrl: 'https://tiles.gebeta.app/static/terrain.jpg',
-          label: 'Terrain'
+          imageUrl: 'https://tiles.gebeta.app/static/terrain.jpg'
         }
       }
     };
@@ -290,7 +315,20 @@ class GebetaMaps {
 
   initDirectionsManager() {
     if (!this.map) return;
-    this.directionsManager = new DirectionsManager(this.map, this.apiKey);
+    this.directionsManager = new DirectionsManager(this.map, this.apiKey, {
+      cache: this.requestCache,
+      language: this.language,
+      units: this.units,
+      traceAttributesUrl: this.traceAttributesUrl,
+    });
+
+    // Register any pending event handlers
+    if (this._pendingEventHandlers && this._pendingEventHandlers.routeselected) {
+      this._pendingEventHandlers.routeselected.forEach(handler => {
+        this.directionsManager.on('routeselected', handler);
+      });
+      this._pendingEventHandlers.routeselected = [];
+    }
   }
 
   createTrackingClient(options = {}) {
@@ -301,7 +339,7 @@ class GebetaMaps {
   initNavigationController() {
     if (!this.map) return;
     if (!this.directionsManager) this.initDirectionsManager();
-    this.navController = new NavController(this.map, this.directionsManager, {});
+    this.navController = new NavController(this.map, this.directionsManager, { language: this.language, units: this.units });
   }
 
   /**
@@ -320,13 +358,63 @@ class GebetaMaps {
    * - origin: {lat, lng} - if route not provided, will calculate route from origin to destination
    * - destination: {lat, lng} - required if route not provided
    * - waypoints: array of {lat, lng} - optional waypoints for route calculation
+   * - profile, avoid, truck: optional travel mode options for route calculation (see getDirections)
+   * - speedLimits: boolean - look up speed limits on the route for speed limit and overspeed events;
+   *   requires the `traceAttributesUrl` constructor option (default: false)
    * - userId: string - required for tracking, user identifier
    * - role: string - optional, defaults to 'driver'
    * - precision: string - 'low' for HTTP tracking (15s updates) or 'high' for WebSocket (5s updates). Defaults to 'high'
    * - useRemoteFeed: boolean to use tracking feed instead of device GPS (advanced)
    * - locationProvider: custom provider with start(cb)->stop() (advanced)
+   * - locationFilter: true or FilteredLocationProvider options to smooth fixes and drop outliers before
+   *   navigation and tracking see them (default: false)
+   * - autoReroute: boolean - request a new route when the user stays off route (default: the controller's
+   *   `autoReroute`, false unless set on it)
+   * - ui: true or NavigationUI options to show the default navigation UI (default: false)
    */
   async startNavigation(options = {}) {
+    return this._startNavigation(options, null);
+  }
+
+  /**
+   * Resume the navigation saved before the page was reloaded. Rebuilds the navigation
+   * controller, tracking client and UI from the saved session and continues at the saved step.
+   * Call it once the map has loaded.
+   * @param {Object} options - startNavigation options that override the saved ones, e.g. a locationProvider
+   *   (providers and callbacks cannot be saved)
+   * @returns {Promise<Object|null>} - The resumed session, or null when there is nothing to resume
+   */
+  async resumeNavigation(options = {}) {
+    const session = this.getNavigationSession();
+    if (!session) return null;
+    if (!this.map) throw new Error("Map not initialized. Call init() first.");
+    if (!this.directionsManager) this.initDirectionsManager();
+
+    // The route was on screen before the reload
+    this.displayRoute(session.route, { showMarkers: false, fitBounds: false });
+    await this._startNavigation(
+      { ...session.options, ...session.tracking, route: session.route, ...options },
+      {
+        stepIndex: session.stepIndex,
+        routeProgressIndex: session.routeProgressIndex,
+        nextWaypointIndex: session.nextWaypointIndex,
+        waypointOffset: session.waypointOffset,
+      }
+    );
+    return session;
+  }
+
+  /**
+   * The saved navigation session, e.g. to offer resuming the trip
+   * @returns {Object|null} - {route, stepIndex, routeProgressIndex, nextWaypointIndex, waypointOffset, destination,
+   *   waypoints, visitedWaypoints, tracking, options, savedAt},
+   *   or null when there is none or it has expired
+   */
+  getNavigationSession() {
+    return this.sessionStore ? this.sessionStore.load() : null;
+  }
+
+  async _startNavigation(options, resume) {
     if (!this.navController) {
       this.initNavigationController();
     }
@@ -336,12 +424,27 @@ class GebetaMaps {
       origin, 
       destination, 
       waypoints = [],
+      profile,
+      avoid,
+      truck,
+      speedLimits,
       userId,
       role = 'driver',
       precision = 'high', // 'low' for HTTP, 'high' for WebSocket
       useRemoteFeed = false, 
-      locationProvider = null
+      locationProvider: customLocationProvider = null,
+      locationFilter = false,
+      autoReroute,
+      ui = false
     } = options;
+
+    // One filtered provider feeds both tracking and navigation, so they see the same fixes
+    const locationProvider = locationFilter && !useRemoteFeed
+      ? new FilteredLocationProvider(
+        customLocationProvider || new BrowserLocationProvider({ enableHighAccuracy: true }),
+        locationFilter === true ? {} : locationFilter
+      )
+      : customLocationProvider;
     
     // Require API key and userId for tracking
     if (!this.apiKey || !userId) {
@@ -357,7 +460,7 @@ class GebetaMaps {
       }
       
       try {
-        routeToUse = await this.getDirections(origin, destination, { waypoints });
+        routeToUse = await this.getDirections(origin, destination, { waypoints, profile, avoid, truck, speedLimits });
         // Display the route on the map
         this.displayRoute(routeToUse, { showMarkers: false });
       } catch (error) {
@@ -396,17 +499,65 @@ class GebetaMaps {
       // Continue with navigation even if tracking fails
     }
     
+    // Reroutes keep the travel mode options of the original request. Options left out here
+    // keep what was set on the controller directly.
+    const navOptions = this.navController.options;
+    if (autoReroute !== undefined) navOptions.autoReroute = autoReroute;
+    const rerouteOptions = Object.fromEntries(
+      Object.entries({ avoid, truck, speedLimits }).filter(([, value]) => value !== undefined)
+    );
+    if (Object.keys(rerouteOptions).length > 0) {
+      navOptions.rerouteOptions = { ...navOptions.rerouteOptions, ...rerouteOptions };
+    }
+
+    // Only plain data is saved; providers and callbacks (e.g. the UI's onStop) have to be passed again on resume
+    const withoutCallbacks = (value) => (value && typeof value === 'object'
+      ? Object.fromEntries(Object.entries(value).filter(([, option]) => typeof option !== 'function'))
+      : value);
+    this._navigationContext = {
+      tracking: { userId, role, precision, useRemoteFeed },
+      options: {
+        profile,
+        avoid,
+        truck,
+        speedLimits,
+        autoReroute: navOptions.autoReroute,
+        locationFilter: withoutCallbacks(locationFilter),
+        ui: withoutCallbacks(ui),
+      },
+    };
+
+    if (ui) {
+      if (this.navigationUI) this.navigationUI.hide();
+      this.navigationUI = new NavigationUI(this.map, this.navController, ui === true ? {} : ui);
+      this.navigationUI.mount();
+    }
+
     // Start navigation with the route
     this.navController.start(routeToUse, {
       trackingClient: trackingClient,
       useRemoteFeed,
       locationProvider,
+      resume,
     });
+
+    // Bound after start so the session is saved right away, before the first step change or progress save
+    this._bindSessionPersistence();
+    this._saveNavigationSession();
   }
 
   stopNavigation() {
     if (!this.navController) return;
+    this._unbindSessionPersistence();
     this.navController.stop();
+    // A trip stopped on purpose is not offered for resuming
+    if (this.sessionStore) this.sessionStore.clear();
+    this._navigationContext = null;
+
+    if (this.navigationUI) {
+      this.navigationUI.hide();
+      this.navigationUI = null;
+    }
     
     // Automatically stop tracking if it was started
     if (this.trackingClient) {
@@ -414,6 +565,40 @@ class GebetaMaps {
     }
   }
 
+  // Save the session when the step or route changes and, throttled, as the trip progresses
+  _bindSessionPersistence() {
+    this._unbindSessionPersistence();
+    if (!this.sessionStore || !this.navController) return;
+
+    const save = () => this._saveNavigationSession();
+    this._sessionUnsubscribers = [
+      this.navController.on('stepchange', save),
+      this.navController.on('reroutecomplete', save),
+      this.navController.on('waypointarrived', save),
+      this.navController.on('legstart', save),
+      this.navController.on('progress', () => {
+        if (Date.now() - this._lastSessionSave >= this.sessionStore.saveIntervalMs) save();
+      }),
+      // An arrived trip is over; nothing to resume
+      this.navController.on('arrive', () => {
+        this._unbindSessionPersistence();
+        this.sessionStore.clear();
+      }),
+    ];
+  }
+
+  _unbindSessionPersistence() {
+    this._sessionUnsubscribers.forEach((unsubscribe) => unsubscribe());
+    this._sessionUnsubscribers = [];
+  }
+
+  _saveNavigationSession() {
+    const state = this.navController?.getSessionState();
+    if (!this.sessionStore || !state || !this._navigationContext) return;
+    this._lastSessionSave = Date.now();
+    this.sessionStore.save({ ...state, ...this._navigationContext });
+  }
+
   getNavigationController() {
     return this.navController;
   }
@@ -432,6 +617,22 @@ class GebetaMaps {
       }
       return;
     }
+
+    // Route selection events - directions manager is created once the map loads
+    if (event === 'routeselected') {
+      if (!this.directionsManager) {
+        if (!this._pendingEventHandlers) {
+          this._pendingEventHandlers = { fenceCompleted: [] };
+        }
+        if (!this._pendingEventHandlers.routeselected) {
+          this._pendingEventHandlers.routeselected = [];
+        }
+        this._pendingEventHandlers.routeselected.push(handler);
+      } else {
+        this.directionsManager.on(event, handler);
+      }
+      return;
+    }
     
     // For map events, require map to be initialized
     if (!this.map) throw new Error("Map not initialized. Call init() first.");
@@ -588,7 +789,7 @@ class GebetaMaps {
         const button = document.createElement('button');
         button.type = 'button';
         button.className = 'gebeta-style-selector__btn';
-        button.setAttribute('aria-label', 'Select map style');
+        button.setAttribute('aria-label', t(this.language, 'style.select'));
         button.style.width = '44px';
         button.style.height = '44px';
         button.style.padding = '0';
@@ -653,7 +854,7 @@ class GebetaMaps {
 
           const img = document.createElement('img');
           img.src = style.imageUrl;
-          img.alt = style.label;
+          img.alt = this._styleLabel(styleKey);
           img.style.width = '36px';
           img.style.height = '36px';
           img.style.borderRadius = '4px';
@@ -664,7 +865,9 @@ class GebetaMaps {
           img.style.transition = 'transform 0.15s ease';
 
           const label = document.createElement('span');
-          label.textContent = style.label;
+          label.className = 'gebeta-style-selector__label';
+          label.dataset.styleKey = styleKey;
+          label.textContent = this._styleLabel(styleKey);
           label.style.fontSize = '14px';
           label.style.lineHeight = '1.5';
           label.style.fontWeight = 'inherit';
@@ -759,10 +962,57 @@ class GebetaMaps {
     this.map.addControl(control, position);
   }
 
+  _styleLabel(styleKey) {
+    return t(this.language, `style.${styleKey}`);
+  }
+
   _updateStyleSelectorButton(button) {
     const currentStyle = this._styleSelector.styles[this._styleSelector.currentStyle];
-    button.innerHTML = `<img src="${currentStyle.imageUrl}" alt="${currentStyle.label}" style="width: 44px; height: 44px; object-fit: cover; display: block; border-radius: 10px; border: none; padding: 0; margin: 0;" />`;
-    button.setAttribute('aria-label', `Current style: ${currentStyle.label}. Click to change.`);
+    const label = this._styleLabel(this._styleSelector.currentStyle);
+    button.innerHTML = `<img src="${currentStyle.imageUrl}" alt="${label}" style="width: 44px; height: 44px; object-fit: cover; display: block; border-radius: 10px; border: none; padding: 0; margin: 0;" />`;
+    button.setAttribute('aria-label', t(this.language, 'style.current', { label }));
+  }
+
+  /**
+   * Change the language of API responses, navigation text and the style selector.
+   * Routes and geocoding results already fetched keep their language.
+   * @param {string} language - 'en', 'am', 'om' or a locale added with registerLocale
+   */
+  setLanguage(language) {
+    this.language = language;
+    if (this.geocodingManager) this.geocodingManager.language = language;
+    if (this.directionsManager) this.directionsManager.language = language;
+    if (this.navController) this.navController.options.language = language;
+    if (this.navigationUI) this.navigationUI.setLanguage(language);
+
+    // Relabel the style selector if it is on the map
+    const container = this.map?.getContainer?.();
+    if (container) {
+      container.querySelectorAll('.gebeta-style-selector__label').forEach((label) => {
+        label.textContent = this._styleLabel(label.dataset.styleKey);
+      });
+      container.querySelectorAll('.gebeta-style-selector__btn').forEach((button) => {
+        this._updateStyleSelectorButton(button);
+      });
+    }
+  }
+
+  /**
+   * Change the unit system of route distances, navigation progress and voice guidance.
+   * Routes already fetched keep their formatted strings; their numeric fields are unit-free.
+   * @param {string} units - 'metric' or 'imperial'
+   */
+  setUnits(units) {
+    this.units = this._validateUnits(units);
+    if (this.directionsManager) this.directionsManager.units = this.units;
+    if (this.navController) this.navController.options.units = this.units;
+  }
+
+  _validateUnits(units) {
+    if (!UNIT_SYSTEMS.includes(units)) {
+      throw new Error(`Invalid units "${units}". Expected one of: ${UNIT_SYSTEMS.join(', ')}`);
+    }
+    return units;
   }
 
   _switchStyle(styleKey, button, popup) {
@@ -935,6 +1185,16 @@ class GebetaMaps {
     return this.fenceManager.isPointInsideFence(lngLat);
   }
 
+  isPointInsideStoredFence(fenceIdOrName, lngLat) {
+    if (!this.fenceManager) return false;
+    return this.fenceManager.isPointInsideStoredFence(fenceIdOrName, lngLat);
+  }
+
+  getFencesContainingPoint(lngLat) {
+    if (!this.fenceManager) return [];
+    return this.fenceManager.getFencesContainingPoint(lngLat);
+  }
+
   getFencePoints() {
     if (!this.fenceManager) return [];
     return this.fenceManager.getFencePoints();
@@ -979,7 +1239,8 @@ class GebetaMaps {
       startHue = 0,
       hueStep = 180,
       overlayAnchor = 'bottom',
-      persistent = false
+      persistent = false,
+      showMarkers = true
     } = options;
 
     if (clearExisting) {
@@ -1025,14 +1286,19 @@ class GebetaMaps {
         firstPointOptions.name = item.name;
       }
 
-      item.points.forEach((point, pointIndex) => {
-        const opts = pointIndex === 0 ? firstPointOptions : {};
-        // Pass optional markerId for first point if provided via item.markerId
-        if (pointIndex === 0 && item.markerId) {
-          opts.markerId = item.markerId;
-        }
-        this.addFencePoint(point, null, null, color, opts, item.borderColor);
-      });
+      if (!showMarkers) {
+        // Without markers the ring is built first and drawn once
+        this.fenceManager.addFencePoints(item.points, color, firstPointOptions, item.borderColor);
+      } else {
+        item.points.forEach((point, pointIndex) => {
+          const opts = pointIndex === 0 ? firstPointOptions : {};
+          // Pass optional markerId for first point if provided via item.markerId
+          if (pointIndex === 0 && item.markerId) {
+            opts.markerId = item.markerId;
+          }
+          this.addFencePoint(point, null, null, color, opts, item.borderColor);
+        });
+      }
 
       if (item.points.length >= 3) {
         // Set persistence now, just before store, to avoid auto-store earlier
@@ -1058,6 +1324,29 @@ class GebetaMaps {
     return await this.directionsManager.getDirections(origin, destination, options);
   }
 
+  /**
+   * Order stops for the shortest trip and build the full multi-stop route.
+   * Options: roundTrip, fixedStart, fixedEnd, metric ('duration' | 'distance'),
+   * plus getDirections options (profile, avoid, truck, avgSpeedKmh).
+   * Returns {order, stops, route, method, estimated}.
+   */
+  async optimizeRoute(stops, options = {}) {
+    if (!this.directionsManager) {
+      throw new Error("Directions manager not initialized. Call init() first.");
+    }
+
+    const { roundTrip = false, fixedStart, fixedEnd, metric, ...directionsOptions } = options;
+    const result = await this.routeOptimizer.optimize(stops, { roundTrip, fixedStart, fixedEnd, metric, profile: directionsOptions.profile });
+
+    const ordered = result.stops;
+    const origin = ordered[0];
+    const destination = roundTrip ? ordered[0] : ordered[ordered.length - 1];
+    const waypoints = roundTrip ? ordered.slice(1) : ordered.slice(1, -1);
+    const route = await this.getDirections(origin, destination, { ...directionsOptions, waypoints });
+
+    return { ...result, route };
+  }
+
   displayRoute(routeData, options = {}) {
     if (!this.directionsManager) {
       console.warn("Directions manager not initialized. Route display may not work properly.");
@@ -1071,6 +1360,11 @@ class GebetaMaps {
     this.directionsManager.clearRoute();
   }
 
+  selectAlternativeRoute(index) {
+    if (!this.directionsManager) return null;
+    return this.directionsManager.selectAlternative(index);
+  }
+
   getCurrentRoute() {
     if (!this.directionsManager) return null;
     return this.directionsManager.getCurrentRoute();
@@ -1081,6 +1375,20 @@ class GebetaMaps {
     return this.directionsManager.getRouteSummary();
   }
 
+  exportRoute(route, format = 'geojson') {
+    if (!this.directionsManager) {
+      throw new Error("Directions manager not initialized. Call init() first.");
+    }
+    return this.directionsManager.exportRoute(route, format);
+  }
+
+  importRoute(text, format = 'geojson') {
+    if (!this.directionsManager) {
+      throw new Error("Directions manager not initialized. Call init() first.");
+    }
+    return this.directionsManager.importRoute(text, format);
+  }
+
   updateRouteStyle(style = {}) {
     if (!this.directionsManager) return;
     this.directionsManager.updateRouteStyle(style);
@@ -1151,14 +1459,66 @@ class GebetaMaps {
     }));
   }
 
-  async geocode(name) {
+  async geocode(name, options = {}) {
     if (!this.geocodingManager) throw new Error('Geocoding manager not initialized');
-    return await this.geocodingManager.geocode(name);
+    return await this.geocodingManager.geocode(name, options);
   }
 
-  async reverseGeocode(lat, lon) {
+  async reverseGeocode(lat, lon, options = {}) {
     if (!this.geocodingManager) throw new Error('Geocoding manager not initialized');
-    return await this.geocodingManager.reverseGeocode(lat, lon);
+    return await this.geocodingManager.reverseGeocode(lat, lon, options);
+  }
+
+  /**
+   * Get the areas reachable from a point within the given travel times and
+   * render each contour as a stored, named fence (`isochrone-<minutes>`), so
+   * fence styling and point-in-fence checks work against them.
+   * Options: contours (minutes, default [10, 20, 30]), profile, render (default true),
+   * style (applied with setFenceStyle before rendering).
+   */
+  async getIsochrone(center, options = {}) {
+    if (!this.isochroneManager) throw new Error('Isochrone manager not initialized');
+
+    const { render = true, style = null, ...requestOptions } = options;
+    const isochrone = await this.isochroneManager.getIsochrone(center, requestOptions);
+
+    if (render && this.fenceManager) {
+      if (style) {
+        this.setFenceStyle(style);
+      }
+
+      // Draw the widest contour first so the smaller ones stay on top
+      const contours = [...isochrone.contours].sort((a, b) => (b.time || 0) - (a.time || 0));
+      const fences = contours.map((contour) => {
+        const id = `isochrone-${contour.time}`;
+        // Replace a previously rendered contour with the same travel time
+        this.removeFence(id);
+        return {
+          id,
+          name: `${contour.time} min`,
+          points: contour.points,
+          // A caller-supplied style wins over the contour colors
+          color: style?.fillColor || contour.color || undefined,
+          borderColor: style?.borderColor || undefined
+        };
+      });
+
+      this.renderFencesFromArray(fences, {
+        clearExisting: false,
+        autoColor: !style,
+        startHue: 200,
+        hueStep: 40,
+        persistent: true,
+        showMarkers: false
+      });
+    }
+
+    return isochrone;
+  }
+
+  async getMatrix(sources, targets, options = {}) {
+    if (!this.matrixManager) throw new Error('Matrix manager not initialized');
+    return await this.matrixManager.getMatrix(sources, targets, options);
   }
 
   // General overlay methods
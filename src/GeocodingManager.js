@@ -1,41 +1,61 @@
+import { createRequestCache } from './RequestCache.js';
+
 class GeocodingManager {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - Gebeta API key
+   * @param {Object} options - Additional options
+   * @param {RequestCache|Object|boolean} options.cache - Shared RequestCache, cache options or false to disable caching
+   * @param {string} options.language - Language for place names (default: 'en')
+   */
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
     this.baseUrl = 'https://mapapi.gebeta.app/api/v1/route';
+    this.cache = createRequestCache(options.cache);
+    this.language = options.language || 'en';
   }
 
   /**
    * Forward geocoding: search by name.
    * @param {string} name
+   * @param {Object} options - {cache: 'no-store' | 'prefer-cache', language}
    * @returns {Promise<Array>}
    */
-  async geocode(name) {
+  async geocode(name, options = {}) {
     if (!this.apiKey) throw new Error('API key is required for geocoding');
     if (!name) throw new Error('Name is required for geocoding');
-    const params = new URLSearchParams({ name, apiKey: this.apiKey });
+    const language = options.language || this.language;
+    const params = new URLSearchParams({ name, language, apiKey: this.apiKey });
     const url = `${this.baseUrl}/geocoding?${params.toString()}`;
-    const response = await fetch(url);
-    const data = await response.json();
-    if (response.ok && data.msg === 'ok') return data.data;
-    throw new Error(data.error?.message || data.msg || 'Geocoding failed');
+    return this._request('geocode', { name, language }, url, 'Geocoding failed', options.cache);
   }
 
   /**
    * Reverse geocoding: search by coordinates.
    * @param {number} lat
    * @param {number} lon
+   * @param {Object} options - {cache: 'no-store' | 'prefer-cache', language}
    * @returns {Promise<Array>}
    */
-  async reverseGeocode(lat, lon) {
+  async reverseGeocode(lat, lon, options = {}) {
     if (!this.apiKey) throw new Error('API key is required for reverse geocoding');
     if (lat == null || lon == null) throw new Error('Latitude and longitude are required');
-    const params = new URLSearchParams({ lat, lon, apiKey: this.apiKey });
+    const language = options.language || this.language;
+    const params = new URLSearchParams({ lat, lon, language, apiKey: this.apiKey });
     const url = `${this.baseUrl}/revgeocoding?${params.toString()}`;
-    const response = await fetch(url);
-    const data = await response.json();
-    if (response.ok && data.msg === 'ok') return data.data;
-    throw new Error(data.error?.message || data.msg || 'Reverse geocoding failed');
+    const point = this.cache ? this.cache.roundPoint({ lat: Number(lat), lng: Number(lon) }) : null;
+    return this._request('revgeocode', { point, language }, url, 'Reverse geocoding failed', options.cache);
+  }
+
+  async _request(namespace, keyParts, url, fallbackMessage, cacheMode) {
+    const request = async () => {
+      const response = await fetch(url);
+      const data = await response.json();
+      if (response.ok && data.msg === 'ok') return data.data;
+      throw new Error(data.error?.message || data.msg || fallbackMessage);
+    };
+    if (!this.cache) return request();
+    return this.cache.resolve(this.cache.key(namespace, keyParts), request, cacheMode);
   }
 }
 
-export default GeocodingManager; 
\ No newline at end of file
+export default GeocodingManager;
@@ -0,0 +1,103 @@
+import { ROUTING_PROFILES } from './DirectionsManager.js';
+
+class IsochroneManager {
+  constructor(apiKey, options = {}) {
+    this.apiKey = apiKey;
+    this.baseUrl = options.baseUrl || 'https://mapapi.gebeta.app/api/route/isochrone/';
+  }
+
+  /**
+   * Get the areas reachable from a point within the given travel times.
+   * @param {Object} center - {lat: number, lng: number}
+   * @param {Object} options - Additional options
+   * @param {Array<number>} options.contours - Travel times in minutes (default: [10, 20, 30])
+   * @param {string} options.profile - Travel mode (default: 'auto')
+   * @returns {Promise<Object>} - {center, profile, contours: [{time, points, feature}], geojson}
+   *   where `points` is the outer ring of the contour polygon as [lng, lat] pairs
+   */
+  async getIsochrone(center, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('API key is required for isochrones');
+    }
+
+    if (!center || typeof center.lat !== 'number' || typeof center.lng !== 'number') {
+      throw new Error('Center must be a {lat, lng} object');
+    }
+
+    const { contours = [10, 20, 30], profile = 'auto' } = options;
+
+    if (!Array.isArray(contours) || contours.length === 0) {
+      throw new Error('contours must be a non-empty array of minutes');
+    }
+    contours.forEach((time) => {
+      if (typeof time !== 'number' || !isFinite(time) || time <= 0) {
+        throw new Error('Each contour must be a positive number of minutes');
+      }
+    });
+    if (!ROUTING_PROFILES[profile]) {
+      throw new Error(`Invalid profile "${profile}". Expected one of: ${Object.keys(ROUTING_PROFILES).join(', ')}`);
+    }
+
+    const params = new URLSearchParams({
+      origin: `${center.lat},${center.lng}`,
+      contours: `[${contours.join(',')}]`,
+      polygons: '1',
+      costing: profile,
+      apiKey: this.apiKey
+    });
+
+    try {
+      const response = await fetch(`${this.baseUrl}?${params.toString()}`);
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Isochrone API error: ${response.status} - ${errorData.message || response.statusText}`);
+      }
+
+      const data = await response.json();
+      return this._transformApiResponse(data, center, profile);
+    } catch (error) {
+      console.error('Error fetching isochrone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transform the GeoJSON isochrone response into contours
+   * @param {Object} apiResponse - GeoJSON FeatureCollection (one feature per contour)
+   * @param {Object} center - Center the isochrone was requested for
+   * @param {string} profile - Travel mode
+   * @returns {Object} - Transformed isochrone
+   */
+  _transformApiResponse(apiResponse, center, profile) {
+    const geojson = apiResponse.type === 'FeatureCollection' ? apiResponse : (apiResponse.data || apiResponse);
+    const features = Array.isArray(geojson.features) ? geojson.features : [];
+
+    const contours = features
+      .map((feature) => {
+        const geometry = feature.geometry || {};
+        let points = [];
+        if (geometry.type === 'Polygon') {
+          points = geometry.coordinates[0] || [];
+        } else if (geometry.type === 'MultiPolygon') {
+          // Use the outer ring of the largest polygon
+          points = geometry.coordinates
+            .map(polygon => polygon[0] || [])
+            .reduce((largest, ring) => (ring.length > largest.length ? ring : largest), []);
+        } else if (geometry.type === 'LineString') {
+          points = geometry.coordinates;
+        }
+        return {
+          time: feature.properties?.contour ?? null,
+          color: feature.properties?.fillColor || feature.properties?.color || null,
+          points,
+          feature
+        };
+      })
+      .filter(contour => contour.points.length >= 3);
+
+    return { center, profile, contours, geojson };
+  }
+}
+
+export default IsochroneManager;
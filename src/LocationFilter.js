@@ -0,0 +1,293 @@
+/**
+ * Location filtering stages and a provider wrapper that applies them.
+ *
+ * A stage is an object with `process(location, previous)` returning the
+ * (possibly adjusted) location, or null to drop the fix, and an optional
+ * `reset()`. `previous` is the last fix the provider delivered. Stages run in
+ * order, so they compose: the defaults drop inaccurate fixes, reject
+ * impossible jumps, smooth with a Kalman filter and then derive bearing and
+ * speed for devices that do not report them.
+ *
+ * @example
+ * const provider = new FilteredLocationProvider(new BrowserLocationProvider(), {
+ *   maxAccuracy: 40,
+ *   maxSpeedKmh: 160,
+ *   onReject: ({ location, reason }) => console.log('Dropped fix', reason)
+ * });
+ * await gebetaMap.startNavigation({ route, userId, locationProvider: provider });
+ *
+ * @example
+ * // Custom stage order
+ * const provider = new FilteredLocationProvider(source, {
+ *   stages: [createSpeedFilter({ maxSpeedKmh: 60 }), createKalmanFilter(), myStage]
+ * });
+ */
+
+import { haversine, bearing, toRad, EARTH_RADIUS_M } from './geo.js';
+
+/**
+ * Drop fixes whose reported accuracy is worse than a threshold.
+ * Fixes without an accuracy are kept.
+ * @param {Object} options - {maxAccuracy: meters (default: 50)}
+ * @returns {Object} - Filter stage
+ */
+export function createAccuracyFilter(options = {}) {
+  const { maxAccuracy = 50 } = options;
+  return {
+    name: 'accuracy',
+    process(location) {
+      return typeof location.accuracy === 'number' && location.accuracy > maxAccuracy ? null : location;
+    },
+  };
+}
+
+/**
+ * Drop fixes that would mean moving faster than is plausible since the last accepted fix.
+ * After `maxRejections` consecutive rejections the fix is accepted, so a real jump
+ * (leaving a tunnel, a long gap between fixes) does not lock the filter out.
+ * @param {Object} options - {maxSpeedKmh (default: 200), maxRejections (default: 5)}
+ * @returns {Object} - Filter stage
+ */
+export function createSpeedFilter(options = {}) {
+  const { maxSpeedKmh = 200, maxRejections = 5 } = options;
+  let last = null;
+  let rejections = 0;
+  return {
+    name: 'speed',
+    process(location) {
+      if (last && typeof location.timestamp === 'number' && typeof last.timestamp === 'number') {
+        const seconds = (location.timestamp - last.timestamp) / 1000;
+        const distance = haversine(last, location);
+        // Allow for the combined uncertainty of both fixes before judging the speed
+        const slack = (location.accuracy || 0) + (last.accuracy || 0);
+        const implausible = seconds <= 0
+          ? distance > slack
+          : Math.max(distance - slack, 0) / seconds > maxSpeedKmh / 3.6;
+        if (implausible && rejections < maxRejections) {
+          rejections += 1;
+          return null;
+        }
+      }
+      rejections = 0;
+      last = location;
+      return location;
+    },
+    reset() {
+      last = null;
+      rejections = 0;
+    },
+  };
+}
+
+// One axis of a constant-velocity Kalman filter: position (m) and velocity (m/s)
+function kalmanAxis(axis, measured, variance, seconds, acceleration) {
+  // Predict: move by the current velocity; uncertainty grows with unmodelled acceleration
+  const q = acceleration * acceleration;
+  const dt2 = seconds * seconds;
+  axis.position += axis.velocity * seconds;
+  const p00 = axis.p00 + seconds * (axis.p01 + axis.p10) + dt2 * axis.p11 + (q * dt2 * dt2) / 4;
+  const p01 = axis.p01 + seconds * axis.p11 + (q * dt2 * seconds) / 2;
+  const p10 = axis.p10 + seconds * axis.p11 + (q * dt2 * seconds) / 2;
+  const p11 = axis.p11 + q * dt2;
+
+  // Update with the measured position
+  const gainPosition = p00 / (p00 + variance);
+  const gainVelocity = p10 / (p00 + variance);
+  const residual = measured - axis.position;
+  axis.position += gainPosition * residual;
+  axis.velocity += gainVelocity * residual;
+  axis.p00 = (1 - gainPosition) * p00;
+  axis.p01 = (1 - gainPosition) * p01;
+  axis.p10 = p10 - gainVelocity * p00;
+  axis.p11 = p11 - gainVelocity * p01;
+}
+
+/**
+ * Smooth positions with a constant-velocity Kalman filter. Each fix is weighted by
+ * its accuracy, so noisy fixes move the position less, and steady movement is
+ * tracked without lagging behind.
+ * @param {Object} options - {acceleration: expected m/s² of speed changes (default: 3),
+ *   defaultAccuracy: meters for fixes without one (default: 15)}
+ * @returns {Object} - Filter stage
+ */
+export function createKalmanFilter(options = {}) {
+  const { acceleration = 3, defaultAccuracy = 15 } = options;
+  let state = null; // {origin, timestamp, x, y} with positions in meters east/north of origin
+  return {
+    name: 'kalman',
+    process(location) {
+      const accuracy = Math.max(location.accuracy || defaultAccuracy, 1);
+      const timestamp = typeof location.timestamp === 'number' ? location.timestamp : Date.now();
+      const variance = accuracy * accuracy;
+
+      if (!state) {
+        const axis = () => ({ position: 0, velocity: 0, p00: variance, p01: 0, p10: 0, p11: 100 });
+        state = { origin: { lat: location.lat, lng: location.lng }, timestamp, x: axis(), y: axis() };
+        return location;
+      }
+
+      // Work in local meters around the first fix
+      const metersPerDegreeLat = (Math.PI / 180) * EARTH_RADIUS_M;
+      const metersPerDegreeLng = metersPerDegreeLat * Math.cos(toRad(state.origin.lat));
+      const seconds = Math.max((timestamp - state.timestamp) / 1000, 0);
+      kalmanAxis(state.x, (location.lng - state.origin.lng) * metersPerDegreeLng, variance, seconds, acceleration);
+      kalmanAxis(state.y, (location.lat - state.origin.lat) * metersPerDegreeLat, variance, seconds, acceleration);
+      state.timestamp = timestamp;
+
+      return {
+        ...location,
+        lat: state.origin.lat + state.y.position / metersPerDegreeLat,
+        lng: state.origin.lng + state.x.position / metersPerDegreeLng,
+        accuracy: Math.sqrt(Math.max(state.x.p00, state.y.p00)),
+      };
+    },
+    reset() {
+      state = null;
+    },
+  };
+}
+
+/**
+ * Fill in bearing and speed from consecutive positions when the device does not report them
+ * @param {Object} options - {minDistance: meters moved before a bearing is derived (default: 3)}
+ * @returns {Object} - Filter stage
+ */
+export function createMotionFilter(options = {}) {
+  const { minDistance = 3 } = options;
+  let anchor = null; // Last position a bearing was derived from
+  return {
+    name: 'motion',
+    process(location, previous) {
+      const result = { ...location };
+      if ((result.speed === null || result.speed === undefined) && previous
+        && typeof location.timestamp === 'number' && typeof previous.timestamp === 'number'
+        && location.timestamp > previous.timestamp) {
+        result.speed = haversine(previous, location) / ((location.timestamp - previous.timestamp) / 1000);
+      }
+      if (result.bearing === null || result.bearing === undefined) {
+        // Standing still gives no direction; keep the last derived one
+        if (anchor && haversine(anchor, location) >= minDistance) {
+          result.bearing = bearing(anchor, location);
+          anchor = { lat: location.lat, lng: location.lng, bearing: result.bearing };
+        } else {
+          result.bearing = anchor?.bearing ?? null;
+          if (!anchor) anchor = { lat: location.lat, lng: location.lng, bearing: null };
+        }
+      }
+      return result;
+    },
+    reset() {
+      anchor = null;
+    },
+  };
+}
+
+export class FilteredLocationProvider {
+  /**
+   * Wrap a location provider with filter stages
+   * @param {Object} provider - Provider with start(onLocation) -> stop
+   * @param {Object} options - Configuration options
+   * @param {Array} options.stages - Filter stages to run in order (default: accuracy, speed, Kalman, motion)
+   * @param {number} options.maxAccuracy - Default accuracy stage threshold in meters (default: 50; null to skip the stage)
+   * @param {number} options.maxSpeedKmh - Default speed stage limit (default: 200; null to skip the stage)
+   * @param {boolean|Object} options.kalman - Kalman stage options, or false to skip it (default: true)
+   * @param {boolean} options.deriveMotion - Derive missing bearing/speed (default: true)
+   * @param {Function} options.onReject - Called with {location, reason} for every dropped fix
+   */
+  constructor(provider, options = {}) {
+    if (!provider || typeof provider.start !== 'function') {
+      throw new Error('FilteredLocationProvider requires a location provider with start(onLocation)');
+    }
+    this.provider = provider;
+    this.options = {
+      stages: null,
+      maxAccuracy: 50,
+      maxSpeedKmh: 200,
+      kalman: true,
+      deriveMotion: true,
+      onReject: null,
+      ...options,
+    };
+    this.stages = this.options.stages || this._defaultStages();
+    this.lastKnownLocation = null;
+    this.rejectedCount = 0;
+    this._subscribers = [];
+    this._stopProvider = null;
+  }
+
+  /**
+   * Start receiving filtered fixes. The wrapped provider runs while at least one subscriber is attached.
+   * @param {Function} onLocation - Called with each accepted, filtered fix
+   * @returns {Function} - Unsubscribes this callback
+   */
+  start(onLocation) {
+    if (typeof onLocation === 'function' && !this._subscribers.includes(onLocation)) {
+      this._subscribers.push(onLocation);
+    }
+
+    if (!this._stopProvider) {
+      // Filter state is shared, so the wrapped provider is started only once for all subscribers
+      const maybeStop = this.provider.start((location) => this._handle(location));
+      this._stopProvider = typeof maybeStop === 'function' ? maybeStop : () => this.provider.stop?.();
+    } else if (this.lastKnownLocation) {
+      onLocation(this.lastKnownLocation);
+    }
+
+    return () => {
+      this._subscribers = this._subscribers.filter((subscriber) => subscriber !== onLocation);
+      if (this._subscribers.length === 0) this.stop();
+    };
+  }
+
+  stop() {
+    if (this._stopProvider) {
+      this._stopProvider();
+      this._stopProvider = null;
+    }
+    this._subscribers = [];
+  }
+
+  /**
+   * Clear the state of every stage, e.g. before reusing the provider for another trip
+   */
+  reset() {
+    this.stages.forEach((stage) => stage.reset?.());
+    this.lastKnownLocation = null;
+  }
+
+  _defaultStages() {
+    const { maxAccuracy, maxSpeedKmh, kalman, deriveMotion } = this.options;
+    return [
+      maxAccuracy !== null ? createAccuracyFilter({ maxAccuracy }) : null,
+      maxSpeedKmh !== null ? createSpeedFilter({ maxSpeedKmh }) : null,
+      kalman ? createKalmanFilter(kalman === true ? {} : kalman) : null,
+      deriveMotion ? createMotionFilter() : null,
+    ].filter(Boolean);
+  }
+
+  _handle(location) {
+    if (!location || typeof location.lat !== 'number' || typeof location.lng !== 'number') return;
+
+    let current = location;
+    for (const stage of this.stages) {
+      const result = stage.process(current, this.lastKnownLocation);
+      if (!result) {
+        this.rejectedCount += 1;
+        if (typeof this.options.onReject === 'function') {
+          this.options.onReject({ location, reason: stage.name || 'filter' });
+        }
+        return;
+      }
+      current = result;
+    }
+
+    this.lastKnownLocation = current;
+    this._subscribers.forEach((subscriber) => {
+      try {
+        subscriber(current);
+      } catch (err) {
+        console.error('Error in location callback:', err);
+      }
+    });
+  }
+}
@@ -0,0 +1,411 @@
+import maplibregl from 'maplibre-gl';
+import { haversine, interpolate, toRad } from './geo.js';
+
+const SOURCE_ID = 'nav-puck';
+const ACCURACY_LAYER_ID = 'nav-puck-accuracy';
+const ACCURACY_OUTLINE_LAYER_ID = 'nav-puck-accuracy-outline';
+
+// Meters per pixel at zoom 0 on the equator for 512px tiles
+const METERS_PER_PIXEL_Z0 = 78271.517;
+
+const now = () => Date.now();
+
+const requestFrame = (callback) => (typeof requestAnimationFrame === 'function'
+  ? requestAnimationFrame(callback)
+  : setTimeout(() => callback(now()), 16));
+
+const cancelFrame = (id) => (typeof cancelAnimationFrame === 'function'
+  ? cancelAnimationFrame(id)
+  : clearTimeout(id));
+
+// Shortest turn from one bearing to another, in degrees (-180..180)
+function bearingDelta(from, to) {
+  return ((((to - from) % 360) + 540) % 360) - 180;
+}
+
+/**
+ * Navigation location puck: a dot with a heading cone and an accuracy circle.
+ *
+ * Instead of jumping to each fix, the puck animates from where it is drawn to
+ * the new fix over roughly the time between fixes, in a `requestAnimationFrame`
+ * loop that runs only while an animation is in progress. While on route it moves
+ * along the route line (through bends, not across them); off route it moves in a
+ * straight line. Fixes that are not followed by another within `staleAfterMs` dim
+ * the puck.
+ */
+class LocationPuck {
+  /**
+   * @param {Object} map - MapLibre map instance
+   * @param {Object} options - Configuration options
+   * @param {string} options.color - Puck color (default: '#0c7bdc')
+   * @param {boolean} options.showAccuracy - Draw the accuracy circle (default: true)
+   * @param {boolean} options.showHeadingCone - Draw the heading cone (default: true)
+   * @param {number} options.staleAfterMs - Dim the puck when no fix arrived for this long (default: 10000)
+   * @param {number} options.staleOpacity - Puck opacity while stale (default: 0.45)
+   * @param {number} options.minAnimationMs - Shortest animation between fixes (default: 100)
+   * @param {number} options.maxAnimationMs - Longest animation between fixes (default: 2000)
+   * @param {number} options.maxAnimationMeters - Jumps longer than this are not animated (default: 250)
+   * @param {Function} options.pointAt - (along) => {lat, lng, bearing}; point on the route at a distance along it
+   * @param {Function} options.onFrame - Called for every drawn frame with {lat, lng, bearing, stale, elapsedMs}
+   */
+  constructor(map, options = {}) {
+    this.map = map;
+    this.options = {
+      color: '#0c7bdc',
+      showAccuracy: true,
+      showHeadingCone: true,
+      staleAfterMs: 10000,
+      staleOpacity: 0.45,
+      minAnimationMs: 100,
+      maxAnimationMs: 2000,
+      maxAnimationMeters: 250,
+      pointAt: null,
+      onFrame: null,
+      ...options,
+    };
+
+    this._from = null; // Drawn state when the current animation started: {lat, lng, bearing, along}
+    this._to = null; // Target of the current animation
+    this._current = null; // Drawn state of the last frame
+    this._animationStart = 0;
+    this._animationMs = 0;
+    this._lastUpdateAt = null;
+    this._lastFrameAt = null;
+    this._accuracy = null;
+    this._accuracyKey = null;
+    this._stale = false;
+    this._frame = null;
+    this._staleTimer = null;
+    this._markerAdded = false;
+
+    this._createMarker();
+  }
+
+  /**
+   * Animate to a new fix
+   * @param {Object} location - {lat, lng, bearing?, accuracy?}
+   * @param {Object} options - {along: meters along the route when the fix is on route,
+   *   point: snapped {lat, lng} to draw instead of the raw fix}
+   */
+  update(location, options = {}) {
+    if (!location || typeof location.lat !== 'number' || typeof location.lng !== 'number') return;
+
+    const time = now();
+    const along = typeof options.along === 'number' && this.options.pointAt ? options.along : null;
+    const point = options.point || location;
+    let heading = typeof location.bearing === 'number' && !isNaN(location.bearing) ? location.bearing : null;
+    if (heading === null && along !== null) {
+      heading = this.options.pointAt(along)?.bearing ?? null;
+    }
+
+    const target = {
+      lat: point.lat,
+      lng: point.lng,
+      bearing: heading ?? this._current?.bearing ?? null,
+      along,
+    };
+
+    const from = this._current;
+    const jump = !from || haversine(from, target) > this.options.maxAnimationMeters;
+    this._from = jump ? target : { ...from };
+    this._to = target;
+    this._animationStart = time;
+    // Animate over the time between fixes, so the puck arrives about when the next fix does
+    this._animationMs = this._lastUpdateAt === null
+      ? this.options.minAnimationMs
+      : Math.min(Math.max(time - this._lastUpdateAt, this.options.minAnimationMs), this.options.maxAnimationMs);
+    this._lastUpdateAt = time;
+    this._accuracy = typeof location.accuracy === 'number' ? location.accuracy : null;
+
+    if (jump) this._render(time);
+    this._clearStaleTimer();
+    this._startLoop();
+  }
+
+  /**
+   * Draw one frame at the current position, e.g. so the camera catches up after a mode change
+   */
+  refresh() {
+    if (this._to) this._startLoop();
+  }
+
+  /**
+   * Forget positions along the current route, e.g. after a reroute replaced it.
+   * The next fix is animated in a straight line.
+   */
+  clearRoute() {
+    if (this._current) this._current.along = null;
+    if (this._to) this._to.along = null;
+  }
+
+  /**
+   * @returns {Object|null} - Drawn position {lat, lng, bearing}, or null before the first fix
+   */
+  getPosition() {
+    return this._current ? { lat: this._current.lat, lng: this._current.lng, bearing: this._current.bearing } : null;
+  }
+
+  /**
+   * Stop the render loop and remove the puck and its layers from the map
+   */
+  remove() {
+    if (this._frame !== null) {
+      cancelFrame(this._frame);
+      this._frame = null;
+    }
+    this._clearStaleTimer();
+    if (this._marker) {
+      this._marker.remove();
+      this._marker = null;
+      this._markerAdded = false;
+    }
+    this._removeLayers();
+    this._from = null;
+    this._to = null;
+    this._current = null;
+  }
+
+  _createMarker() {
+    if (!this.map) return;
+    const { color } = this.options;
+
+    // Flat on the map and rotated with it, so the cone points along the road at any map bearing
+    const el = document.createElement('div');
+    el.className = 'gebeta-location-puck';
+    el.style.width = '80px';
+    el.style.height = '80px';
+    el.style.pointerEvents = 'none';
+    el.style.transition = 'opacity 300ms';
+
+    const cone = document.createElement('div');
+    cone.style.position = 'absolute';
+    cone.style.inset = '0';
+    cone.style.clipPath = 'polygon(50% 50%, 25% 0, 75% 0)';
+    cone.style.background = `linear-gradient(to top, ${color}, transparent)`;
+    cone.style.opacity = '0.35';
+    cone.style.display = 'none';
+    el.appendChild(cone);
+
+    const dot = document.createElement('div');
+    dot.style.position = 'absolute';
+    dot.style.left = '30px';
+    dot.style.top = '30px';
+    dot.style.width = '14px';
+    dot.style.height = '14px';
+    dot.style.borderRadius = '50%';
+    dot.style.backgroundColor = color;
+    dot.style.border = '3px solid #fff';
+    dot.style.boxShadow = '0 2px 8px rgba(0,0,0,0.3)';
+    el.appendChild(dot);
+
+    // Arrow pointing in the direction of travel
+    const arrow = document.createElement('div');
+    arrow.style.position = 'absolute';
+    arrow.style.left = '50%';
+    arrow.style.top = '22px';
+    arrow.style.transform = 'translateX(-50%)';
+    arrow.style.borderLeft = '5px solid transparent';
+    arrow.style.borderRight = '5px solid transparent';
+    arrow.style.borderBottom = `8px solid ${color}`;
+    el.appendChild(arrow);
+
+    this._cone = cone;
+    this._arrow = arrow;
+    this._marker = new maplibregl.Marker({
+      element: el,
+      anchor: 'center',
+      rotationAlignment: 'map',
+      pitchAlignment: 'map',
+    });
+  }
+
+  _startLoop() {
+    if (this._frame !== null) return;
+    const tick = () => {
+      this._frame = null;
+      if (!this._to) return;
+      // Frames are only requested while animating; an idle puck just waits to turn stale
+      if (this._render(now())) {
+        this._frame = requestFrame(tick);
+      } else {
+        this._scheduleStale();
+      }
+    };
+    this._frame = requestFrame(tick);
+  }
+
+  // Draw the stale state once, when no fix has arrived for `staleAfterMs`
+  _scheduleStale() {
+    this._clearStaleTimer();
+    if (this._stale || this._lastUpdateAt === null) return;
+    const delay = Math.max(this._lastUpdateAt + this.options.staleAfterMs - now(), 0) + 1;
+    this._staleTimer = setTimeout(() => {
+      this._staleTimer = null;
+      this._render(now());
+    }, delay);
+  }
+
+  _clearStaleTimer() {
+    if (this._staleTimer !== null) {
+      clearTimeout(this._staleTimer);
+      this._staleTimer = null;
+    }
+  }
+
+  /**
+   * Draw the puck for a point in time
+   * @param {number} time - Timestamp in milliseconds
+   * @returns {boolean} - Whether the animation is still in progress
+   */
+  _render(time) {
+    const from = this._from;
+    const to = this._to;
+    if (!from || !to) return false;
+
+    const progress = this._animationMs > 0 ? Math.min((time - this._animationStart) / this._animationMs, 1) : 1;
+    const animating = progress < 1 || this._current === null || this._current.lat !== to.lat || this._current.lng !== to.lng;
+    const stale = this._lastUpdateAt !== null && time - this._lastUpdateAt > this.options.staleAfterMs;
+
+    if (animating) {
+      this._current = this._interpolate(from, to, progress);
+      this._drawPosition();
+    }
+    if (stale !== this._stale) {
+      this._stale = stale;
+      this._drawStale();
+    }
+
+    if (typeof this.options.onFrame === 'function') {
+      const elapsedMs = this._lastFrameAt === null ? 0 : time - this._lastFrameAt;
+      this.options.onFrame({ ...this.getPosition(), stale, elapsedMs });
+    }
+    this._lastFrameAt = time;
+    return progress < 1;
+  }
+
+  _interpolate(from, to, progress) {
+    let bearing = to.bearing;
+    if (from.bearing !== null && to.bearing !== null) {
+      bearing = (from.bearing + bearingDelta(from.bearing, to.bearing) * progress + 360) % 360;
+    }
+
+    // Along the route line while both ends are on route; straight otherwise
+    if (from.along !== null && to.along !== null && this.options.pointAt) {
+      const along = from.along + (to.along - from.along) * progress;
+      const point = progress < 1 ? this.options.pointAt(along) : to;
+      if (point) return { lat: point.lat, lng: point.lng, bearing, along };
+    }
+    const point = interpolate(from, to, progress);
+    return { lat: point.lat, lng: point.lng, bearing, along: progress < 1 ? null : to.along };
+  }
+
+  _drawPosition() {
+    const current = this._current;
+    if (this._marker) {
+      this._marker.setLngLat([current.lng, current.lat]);
+      if (!this._markerAdded) {
+        this._marker.addTo(this.map);
+        this._markerAdded = true;
+      }
+      const hasBearing = current.bearing !== null;
+      this._marker.setRotation(hasBearing ? current.bearing : 0);
+      this._cone.style.display = hasBearing && this.options.showHeadingCone && !this._stale ? 'block' : 'none';
+      this._arrow.style.display = hasBearing ? 'block' : 'none';
+    }
+    this._drawAccuracy();
+  }
+
+  _drawStale() {
+    if (this._marker) {
+      this._marker.getElement().style.opacity = this._stale ? String(this.options.staleOpacity) : '1';
+      const hasBearing = (this._current?.bearing ?? null) !== null;
+      this._cone.style.display = hasBearing && this.options.showHeadingCone && !this._stale ? 'block' : 'none';
+    }
+    if (this.map?.getLayer(ACCURACY_LAYER_ID)) {
+      this.map.setPaintProperty(ACCURACY_LAYER_ID, 'circle-opacity', this._stale ? 0.06 : 0.15);
+    }
+  }
+
+  _drawAccuracy() {
+    if (!this.options.showAccuracy || !this.map || !this._ensureLayers()) return;
+
+    const { lat, lng } = this._current;
+    this.map.getSource(SOURCE_ID).setData({
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'Point', coordinates: [lng, lat] },
+    });
+
+    // Circle radius in pixels doubles with every zoom level; only reset it when the accuracy changes
+    const accuracy = this._accuracy === null ? 0 : Math.round(this._accuracy);
+    const key = `${accuracy}:${Math.round(lat)}`;
+    if (key !== this._accuracyKey) {
+      this._accuracyKey = key;
+      const radiusAtZ0 = accuracy / (METERS_PER_PIXEL_Z0 * Math.cos(toRad(lat)));
+      const radius = [
+        'interpolate', ['exponential', 2], ['zoom'],
+        0, radiusAtZ0,
+        24, radiusAtZ0 * 2 ** 24,
+      ];
+      this.map.setPaintProperty(ACCURACY_LAYER_ID, 'circle-radius', radius);
+      this.map.setPaintProperty(ACCURACY_OUTLINE_LAYER_ID, 'circle-radius', radius);
+    }
+  }
+
+  _ensureLayers() {
+    if (this.map.getSource(SOURCE_ID)) return true;
+    // Layers are added once the style is ready, and again after a style change removed them
+    if (!this.map.isStyleLoaded()) return false;
+
+    try {
+      this.map.addSource(SOURCE_ID, {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] },
+      });
+      this.map.addLayer({
+        id: ACCURACY_LAYER_ID,
+        type: 'circle',
+        source: SOURCE_ID,
+        paint: {
+          'circle-radius': 0,
+          'circle-color': this.options.color,
+          'circle-opacity': 0.15,
+          'circle-pitch-alignment': 'map',
+        },
+      });
+      this.map.addLayer({
+        id: ACCURACY_OUTLINE_LAYER_ID,
+        type: 'circle',
+        source: SOURCE_ID,
+        paint: {
+          'circle-radius': 0,
+          'circle-opacity': 0,
+          'circle-stroke-width': 1,
+          'circle-stroke-color': this.options.color,
+          'circle-stroke-opacity': 0.4,
+          'circle-pitch-alignment': 'map',
+        },
+      });
+      this._accuracyKey = null;
+      return true;
+    } catch (error) {
+      console.error('Error adding location puck layers:', error);
+      return false;
+    }
+  }
+
+  _removeLayers() {
+    if (!this.map) return;
+    try {
+      [ACCURACY_OUTLINE_LAYER_ID, ACCURACY_LAYER_ID].forEach((id) => {
+        if (this.map.getLayer(id)) this.map.removeLayer(id);
+      });
+      if (this.map.getSource(SOURCE_ID)) this.map.removeSource(SOURCE_ID);
+    } catch (error) {
+      // The style may already be gone when the map is being removed
+    }
+    this._accuracyKey = null;
+  }
+}
+
+export default LocationPuck;
@@ -0,0 +1,213 @@
+import { haversine, bearing, angleDifference, pointToLngLat, nearestPointOnSegment } from './geo.js';
+
+const DEFAULT_OPTIONS = {
+  windowMeters: 300, // How far ahead of the last match to search
+  backtrackMeters: 30, // How far behind the last match to search (GPS jitter)
+  headingWeightMeters: 30, // Extra cost, in meters, for heading in the opposite direction of a segment
+  minHeadingSpeed: 1, // m/s below which the device heading is ignored
+  uTurnAngle: 150, // Heading difference (degrees) that counts as driving against the route
+  uTurnFixes: 3, // Consecutive fixes against the route before a U-turn is reported
+  reacquireMeters: 60, // Search the whole route when the windowed match is farther than this
+  confidenceSigmaMeters: 20, // Distance at which match confidence starts dropping off quickly
+};
+
+/**
+ * Stateful matcher that snaps GPS fixes to a route.
+ *
+ * Unlike a nearest-segment search over the whole line, each fix is only matched
+ * within a window ahead of the previous match, so parallel roads and earlier
+ * parts of looped routes are not picked up. Candidates are scored by distance
+ * and by how well the device heading agrees with the segment bearing.
+ */
+class MapMatcher {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.setRoute([]);
+  }
+
+  /**
+   * Set the route to match against and reset the matching state
+   * @param {Array} coordinates - Route line as [lng, lat] pairs
+   */
+  setRoute(coordinates) {
+    this.coordinates = Array.isArray(coordinates) ? coordinates : [];
+    this._cumulative = [0];
+    this._bearings = [];
+    for (let i = 0; i < this.coordinates.length - 1; i++) {
+      const a = pointToLngLat(this.coordinates[i]);
+      const b = pointToLngLat(this.coordinates[i + 1]);
+      this._cumulative.push(this._cumulative[i] + haversine(a, b));
+      this._bearings.push(bearing(a, b));
+    }
+    this.reset();
+  }
+
+  /**
+   * Distance along the route to a coordinate of the route line
+   * @param {number} index - Index into the route coordinates
+   * @returns {number|null} - Meters from the start of the route, or null for an invalid index
+   */
+  distanceAt(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this._cumulative.length) return null;
+    return this._cumulative[index];
+  }
+
+  /**
+   * Point on the route at a distance along it
+   * @param {number} along - Meters from the start of the route (clamped to the route)
+   * @returns {Object|null} - {lat, lng, bearing, index}, or null without a route
+   */
+  pointAt(along) {
+    if (this.coordinates.length < 2) return null;
+    const total = this._cumulative[this._cumulative.length - 1];
+    const target = Math.min(Math.max(along, 0), total);
+    // Binary search for the segment containing the distance
+    let low = 0;
+    let high = this._bearings.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this._cumulative[mid] <= target) low = mid;
+      else high = mid - 1;
+    }
+    const length = this._cumulative[low + 1] - this._cumulative[low];
+    const t = length > 0 ? (target - this._cumulative[low]) / length : 0;
+    const a = pointToLngLat(this.coordinates[low]);
+    const b = pointToLngLat(this.coordinates[low + 1]);
+    return {
+      lat: a.lat + (b.lat - a.lat) * t,
+      lng: a.lng + (b.lng - a.lng) * t,
+      bearing: this._bearings[low],
+      index: low,
+    };
+  }
+
+  /**
+   * Continue matching from a known distance along the route, e.g. when resuming a trip
+   * @param {number} along - Meters from the start of the route
+   */
+  seek(along) {
+    this.reset();
+    this._lastMatch = { along };
+  }
+
+  reset() {
+    this._lastMatch = null;
+    this._lastTimestamp = null;
+    this._againstRouteCount = 0;
+  }
+
+  /**
+   * Match a location to the route
+   * @param {Object} location - {lat, lng, bearing?, speed?, timestamp?}
+   * @returns {Object|null} - {distance, point, index, t, along, confidence, headingDifference, uTurn, reacquired}
+   *   (the fields of `nearestOnLine` plus match details), or null without a route
+   */
+  match(location) {
+    if (!location || this.coordinates.length < 2) return null;
+
+    const heading = this._usableHeading(location);
+    // The first fix is searched from the start of the route
+    const fromAlong = this._lastMatch ? this._lastMatch.along - this.options.backtrackMeters : 0;
+    const toAlong = this._lastMatch ? this._lastMatch.along + this._movementAllowance(location) : this.options.windowMeters;
+    let best = this._search(location, heading, fromAlong, toAlong);
+    let reacquired = false;
+
+    if (!best || best.distance > this.options.reacquireMeters) {
+      // Lost the route (tunnel, bad fixes, shortcut) or started mid-route: try the whole line.
+      // If nothing is close there either, the user is simply off route and the windowed match stands.
+      const global = this._search(location, heading, -Infinity, Infinity);
+      if (!best || global.distance <= this.options.reacquireMeters) {
+        best = global;
+        reacquired = this._lastMatch !== null;
+      }
+    }
+
+    // A U-turn is only reported after several fixes heading against the route,
+    // so a single noisy heading does not flip guidance
+    const againstRoute = best.headingDifference !== null && best.headingDifference >= this.options.uTurnAngle;
+    this._againstRouteCount = againstRoute ? this._againstRouteCount + 1 : 0;
+    const uTurn = this._againstRouteCount >= this.options.uTurnFixes;
+
+    const result = {
+      ...best,
+      confidence: this._confidence(best, reacquired || uTurn),
+      uTurn,
+      reacquired,
+    };
+
+    // Keep the forward position while driving against the route; the caller reroutes
+    if (!uTurn) {
+      this._lastMatch = result;
+    }
+    if (typeof location.timestamp === 'number') {
+      this._lastTimestamp = location.timestamp;
+    }
+
+    return result;
+  }
+
+  _usableHeading(location) {
+    const heading = location.bearing;
+    if (heading === null || heading === undefined || isNaN(heading)) return null;
+    if (location.speed !== null && location.speed !== undefined && location.speed < this.options.minHeadingSpeed) {
+      return null;
+    }
+    return heading;
+  }
+
+  _movementAllowance(location) {
+    const { windowMeters } = this.options;
+    if (typeof location.timestamp !== 'number' || this._lastTimestamp === null || !location.speed) {
+      return windowMeters;
+    }
+    // Fast movement or long gaps between fixes widen the window
+    const seconds = Math.max(0, (location.timestamp - this._lastTimestamp) / 1000);
+    return Math.max(windowMeters, location.speed * seconds * 1.5);
+  }
+
+  _search(location, heading, fromAlong, toAlong) {
+    let best = null;
+    for (let i = 0; i < this.coordinates.length - 1; i++) {
+      // Skip segments entirely outside the window
+      if (this._cumulative[i + 1] < fromAlong) continue;
+      if (this._cumulative[i] > toAlong) break;
+
+      const a = pointToLngLat(this.coordinates[i]);
+      const b = pointToLngLat(this.coordinates[i + 1]);
+      const proj = nearestPointOnSegment(location, a, b);
+      const distance = haversine(location, proj.point);
+      const headingDifference = heading === null ? null : angleDifference(heading, this._bearings[i]);
+      const cost = headingDifference === null
+        ? distance
+        : distance + this.options.headingWeightMeters * (1 - Math.cos((headingDifference * Math.PI) / 180)) / 2;
+
+      if (!best || cost < best.cost) {
+        best = {
+          cost,
+          distance,
+          point: proj.point,
+          index: i,
+          t: proj.t,
+          along: this._cumulative[i] + (this._cumulative[i + 1] - this._cumulative[i]) * proj.t,
+          headingDifference,
+        };
+      }
+    }
+    if (!best) return null;
+    const { cost, ...match } = best;
+    return match;
+  }
+
+  _confidence(match, degraded) {
+    const sigma = this.options.confidenceSigmaMeters;
+    const distanceScore = Math.exp(-0.5 * (match.distance / sigma) ** 2);
+    // Without a heading the match can only be judged by distance
+    const headingScore = match.headingDifference === null
+      ? 0.8
+      : (1 + Math.cos((match.headingDifference * Math.PI) / 180)) / 2;
+    const confidence = distanceScore * headingScore * (degraded ? 0.5 : 1);
+    return Math.round(confidence * 100) / 100;
+  }
+}
+
+export default MapMatcher;
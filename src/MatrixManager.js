@@ -0,0 +1,168 @@
+import { ROUTING_PROFILES } from './DirectionsManager.js';
+import { haversine, estimateDuration } from './geo.js';
+
+class MatrixManager {
+  constructor(apiKey, options = {}) {
+    this.apiKey = apiKey;
+    this.baseUrl = options.baseUrl || 'https://mapapi.gebeta.app/api/route/matrix/';
+    // Largest number of sources/targets the matrix API accepts in one request
+    this.maxSources = options.maxSources || 25;
+    this.maxTargets = options.maxTargets || 25;
+  }
+
+  /**
+   * Get travel distances and durations from every source to every target.
+   * Large inputs are split into chunks the API accepts and stitched back together.
+   * When the service is unreachable, the affected cells are estimated from the
+   * straight-line distance and the result is marked as `estimated`.
+   * @param {Array} sources - Array of {lat: number, lng: number}
+   * @param {Array} targets - Array of {lat: number, lng: number}
+   * @param {Object} options - Additional options
+   * @param {string} options.profile - Travel mode (default: 'auto')
+   * @param {boolean} options.fallback - Estimate when the service is unreachable (default: true)
+   * @param {number} options.avgSpeedKmh - Average speed for estimates (default: the profile's speed)
+   * @param {number} options.detourFactor - Road distance / straight-line distance for estimates (default: 1.3)
+   * @returns {Promise<Object>} - {sources, targets, distances, durations, estimated}
+   *   where distances[i][j] is in meters and durations[i][j] in seconds (null when unreachable)
+   */
+  async getMatrix(sources, targets, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('API key is required for the distance matrix');
+    }
+
+    if (!Array.isArray(sources) || sources.length === 0 || !Array.isArray(targets) || targets.length === 0) {
+      throw new Error('Sources and targets must be non-empty arrays');
+    }
+
+    [...sources, ...targets].forEach((point) => {
+      if (!point || typeof point.lat !== 'number' || typeof point.lng !== 'number') {
+        throw new Error('Sources and targets must be {lat, lng} objects');
+      }
+    });
+
+    const { profile = 'auto', fallback = true } = options;
+
+    if (!ROUTING_PROFILES[profile]) {
+      throw new Error(`Invalid profile "${profile}". Expected one of: ${Object.keys(ROUTING_PROFILES).join(', ')}`);
+    }
+
+    const distances = sources.map(() => new Array(targets.length).fill(null));
+    const durations = sources.map(() => new Array(targets.length).fill(null));
+    let estimated = false;
+
+    // Request the matrix chunk by chunk to stay within the API limits
+    for (let sourceStart = 0; sourceStart < sources.length; sourceStart += this.maxSources) {
+      const sourceChunk = sources.slice(sourceStart, sourceStart + this.maxSources);
+
+      for (let targetStart = 0; targetStart < targets.length; targetStart += this.maxTargets) {
+        const targetChunk = targets.slice(targetStart, targetStart + this.maxTargets);
+
+        let chunk;
+        try {
+          chunk = await this._requestChunk(sourceChunk, targetChunk, profile);
+        } catch (error) {
+          if (!fallback || !error.unreachable) throw error;
+          console.warn('Matrix service unreachable, estimating travel times:', error);
+          chunk = this.estimateMatrix(sourceChunk, targetChunk, options);
+          estimated = true;
+        }
+
+        chunk.distances.forEach((row, i) => {
+          row.forEach((value, j) => {
+            distances[sourceStart + i][targetStart + j] = value;
+            durations[sourceStart + i][targetStart + j] = chunk.durations[i][j];
+          });
+        });
+      }
+    }
+
+    return { sources, targets, distances, durations, estimated };
+  }
+
+  /**
+   * Estimate a matrix without the service, from straight-line distances.
+   * @param {Array} sources - Array of {lat: number, lng: number}
+   * @param {Array} targets - Array of {lat: number, lng: number}
+   * @param {Object} options - {profile, avgSpeedKmh, detourFactor}
+   * @returns {Object} - {sources, targets, distances, durations, estimated: true}
+   */
+  estimateMatrix(sources, targets, options = {}) {
+    const {
+      profile = 'auto',
+      detourFactor = 1.3
+    } = options;
+    const avgSpeedKmh = options.avgSpeedKmh ?? ROUTING_PROFILES[profile]?.avgSpeedKmh ?? 30;
+
+    const distances = sources.map(source => targets.map(target => haversine(source, target) * detourFactor));
+    const durations = distances.map(row => row.map(distance => estimateDuration(distance, avgSpeedKmh)));
+
+    return { sources, targets, distances, durations, estimated: true };
+  }
+
+  /**
+   * Request one chunk of the matrix from the API
+   * @param {Array} sources - Sources within the API limit
+   * @param {Array} targets - Targets within the API limit
+   * @param {string} profile - Travel mode
+   * @returns {Promise<Object>} - {distances, durations}
+   */
+  async _requestChunk(sources, targets, profile) {
+    // Points are sent as array of {lat,lng} objects (no property names), like direction waypoints
+    const toParam = points => `[${points.map(p => `{${p.lat},${p.lng}}`).join(',')}]`;
+    const params = new URLSearchParams({
+      sources: toParam(sources),
+      targets: toParam(targets),
+      costing: profile,
+      apiKey: this.apiKey
+    });
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}?${params.toString()}`);
+    } catch (err) {
+      const error = new Error(`Matrix API unreachable: ${err.message}`);
+      error.unreachable = true;
+      throw error;
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(`Matrix API error: ${response.status} - ${errorData.message || response.statusText}`);
+      // Server-side failures are treated like an unreachable service
+      error.unreachable = response.status >= 500;
+      throw error;
+    }
+
+    const data = await response.json();
+    return this._transformApiResponse(data, sources.length, targets.length);
+  }
+
+  /**
+   * Transform the API response (Valhalla `sources_to_targets`) to meter/second tables
+   * @param {Object} apiResponse - Raw API response
+   * @param {number} sourceCount - Number of sources requested
+   * @param {number} targetCount - Number of targets requested
+   * @returns {Object} - {distances, durations}
+   */
+  _transformApiResponse(apiResponse, sourceCount, targetCount) {
+    const rows = apiResponse.sources_to_targets || apiResponse.data?.sources_to_targets || [];
+    const distances = [];
+    const durations = [];
+
+    for (let i = 0; i < sourceCount; i++) {
+      distances.push(new Array(targetCount).fill(null));
+      durations.push(new Array(targetCount).fill(null));
+      (rows[i] || []).forEach((cell, j) => {
+        if (!cell) return;
+        const targetIndex = cell.to_index ?? j;
+        // Distances come back in kilometers, times in seconds
+        distances[i][targetIndex] = cell.distance != null ? cell.distance * 1000 : null;
+        durations[i][targetIndex] = cell.time ?? null;
+      });
+    }
+
+    return { distances, durations };
+  }
+}
+
+export default MatrixManager;
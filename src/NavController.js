@@ -1,5 +1,11 @@
 import maplibregl from 'maplibre-gl';
 import { BrowserLocationProvider } from './TrackingClient.js';
+import { ROUTING_PROFILES } from './DirectionsManager.js';
+import MapMatcher from './MapMatcher.js';
+import LocationPuck from './LocationPuck.js';
+import { haversine, pointToLngLat, estimateDuration } from './geo.js';
+import { t } from './i18n.js';
+import Formatter from './Formatter.js';
 
 class SimpleEmitter {
   constructor() {
@@ -22,81 +28,34 @@ class SimpleEmitter {
   }
 }
 
-const EARTH_RADIUS_M = 6371000;
+// Turn-by-turn tuning per travel mode. Pedestrians and cyclists move slowly and
+// turn in tight spaces, so instructions are shown and advanced closer to the turn.
+const DEFAULT_GUIDANCE = {
+  turnApproachMeters: 50, // Show turn instructions when within this distance
+  stepAdvanceMeters: 20, // Advance to the next step once this close to the current one
+  offRouteThresholdMeters: 40,
+  continueMessage: 'nav.continueAhead', // i18n key of the "Continue ahead" instruction
+  continueIcon: '⬆️',
+};
 
-function toRad(deg) {
-  return (deg * Math.PI) / 180;
-}
-
-function haversine(a, b) {
-  const dLat = toRad(b.lat - a.lat);
-  const dLon = toRad(b.lng - a.lng);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const h =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
-  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
-}
-
-function bearing(from, to) {
-  const y = Math.sin(toRad(to.lng - from.lng)) * Math.cos(toRad(to.lat));
-  const x =
-    Math.cos(toRad(from.lat)) * Math.sin(toRad(to.lat)) -
-    Math.sin(toRad(from.lat)) *
-      Math.cos(toRad(to.lat)) *
-      Math.cos(toRad(to.lng - from.lng));
-  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
-}
-
-function interpolate(a, b, t) {
-  return {
-    lng: a.lng + (b.lng - a.lng) * t,
-    lat: a.lat + (b.lat - a.lat) * t,
-  };
-}
-
-function pointToLngLat(pt) {
-  return { lng: pt[0], lat: pt[1] };
-}
+const PROFILE_GUIDANCE = {
+  bicycle: {
+    turnApproachMeters: 30,
+    stepAdvanceMeters: 12,
+    offRouteThresholdMeters: 30,
+  },
+  pedestrian: {
+    turnApproachMeters: 15,
+    stepAdvanceMeters: 8,
+    offRouteThresholdMeters: 20,
+    continueMessage: 'nav.continueWalking',
+    continueIcon: '🚶',
+  },
+};
 
-function lngLatToArr(ll) {
-  return [ll.lng, ll.lat];
-}
-
-function nearestPointOnSegment(p, a, b) {
-  const ax = a.lng;
-  const ay = a.lat;
-  const bx = b.lng;
-  const by = b.lat;
-  const px = p.lng;
-  const py = p.lat;
-  const dx = bx - ax;
-  const dy = by - ay;
-  const len2 = dx * dx + dy * dy;
-  if (len2 === 0) return { t: 0, point: { lng: ax, lat: ay } };
-  let t = ((px - ax) * dx + (py - ay) * dy) / len2;
-  t = Math.max(0, Math.min(1, t));
-  return { t, point: interpolate(a, b, t) };
-}
-
-function nearestOnLine(point, line) {
-  let best = { distance: Infinity, point: line[0], index: 0, t: 0, along: 0 };
-  let traveled = 0;
-  for (let i = 0; i < line.length - 1; i++) {
-    const a = pointToLngLat(line[i]);
-    const b = pointToLngLat(line[i + 1]);
-    const proj = nearestPointOnSegment(point, a, b);
-    const segLen = haversine(a, b);
-    const projDist = haversine(point, proj.point);
-    const along = traveled + segLen * proj.t;
-    if (projDist < best.distance) {
-      best = { distance: projDist, point: proj.point, index: i, t: proj.t, along };
-    }
-    traveled += segLen;
-  }
-  return best;
-}
+// 'follow': heading-up and pitched; 'north-up': flat with north up; 'overview': fits the
+// remaining route; 'free': the camera is left alone (the user panned the map)
+export const CAMERA_MODES = ['follow', 'north-up', 'overview', 'free'];
 
 class NavController extends SimpleEmitter {
   constructor(map, directionsManager, options = {}) {
@@ -104,10 +63,29 @@ class NavController extends SimpleEmitter {
     this.map = map;
     this.directionsManager = directionsManager;
     this.options = {
-      offRouteThresholdMeters: 40,
+      offRouteThresholdMeters: null, // Defaults to the route profile's threshold
       arriveThresholdMeters: 25,
+      waypointConfirmation: false, // Wait at each waypoint until continueToNextLeg() is called
       autoReroute: false,
-      rerouteFn: null,
+      rerouteFn: null, // Optional custom reroute: (location, {destination, waypoints, route}) => route
+      rerouteOptions: {}, // Extra getDirections options used when rerouting (avoid, truck, speedLimits, ...)
+      rerouteAfterFixes: 3, // Reroute after this many consecutive off-route fixes...
+      rerouteAfterMs: 5000, // ...or after being off route for this long
+      rerouteCooldownMs: 15000, // Minimum time between reroute requests
+      matcherOptions: {}, // MapMatcher tuning (windowMeters, headingWeightMeters, uTurnFixes, ...)
+      language: 'en', // Language of generated instructions
+      units: 'metric', // 'metric' or 'imperial' for the formatted progress fields
+      etaSmoothingSeconds: 300, // Time window over which the observed pace is averaged
+      etaPriorSeconds: 120, // On-schedule driving assumed at the start, so early stops barely move the ETA
+      etaRatioRange: [0.5, 2.5], // Bounds of the observed / planned time ratio
+      etaChangeThresholdSeconds: 60, // Emit `etachanged` when the ETA moves by more than this
+      puckOptions: {}, // LocationPuck options (color, showAccuracy, showHeadingCone, staleAfterMs, ...)
+      cameraMode: 'follow', // Camera mode when navigation starts, one of CAMERA_MODES
+      cameraZoomRange: [15.5, 18], // Follow zoom at highway speeds / when slow or near a maneuver
+      cameraPitch: 60, // Pitch of the follow mode
+      cameraManeuverZoomMeters: 200, // Zoom back in over this distance before a maneuver
+      cameraOverviewPadding: 60, // Padding in pixels around the remaining route in overview mode
+      overspeedToleranceKmh: 5, // How far above the speed limit counts as speeding
       ...options,
     };
 
@@ -123,8 +101,41 @@ class NavController extends SimpleEmitter {
     this._useRemoteFeed = false;
     this._active = false;
     this._instructions = [];
-    this._locationMarker = null;
+    this._puck = null;
+    this._lastCamera = null;
     this._savedCameraState = null;
+    this._cameraMode = this.options.cameraMode;
+    this._followMode = 'follow'; // Mode that recenter() returns to
+    this._targetZoom = null;
+    this._cameraEasingUntil = 0;
+    this._onMapDrag = null;
+
+    // Rerouting state
+    this._offRouteCount = 0;
+    this._offRouteSince = null;
+    this._rerouting = false;
+    this._lastRerouteAt = null;
+    this._routeProgressIndex = 0; // Furthest route segment reached while on route
+    this._session = 0; // Bumped on stop so late reroute responses are ignored
+
+    // Multi-stop state: waypoint indices of the current route, plus an offset so events keep
+    // numbering stops from the start of the trip after reroutes drop the visited ones
+    this._nextWaypointIndex = 0;
+    this._waypointOffset = 0;
+    this._awaitingConfirmation = null; // {index, legIndex} while waiting at a waypoint
+    this._arrived = false;
+
+    // Speed limit state, from the route's per-segment `speedLimits` (km/h)
+    this._speedLimit = null;
+    this._overspeed = null; // {since, speedLimit, maxSpeedKmh} while speeding
+
+    // ETA state: remaining time comes from the route's maneuver times, scaled by the observed pace
+    this._maneuverTimeline = null;
+    this._pace = null;
+    this._lastEmittedEta = null;
+
+    // Snaps fixes forward along the route instead of to the nearest segment anywhere
+    this._matcher = new MapMatcher(this.options.matcherOptions);
   }
 
   start(route, opts = {}) {
@@ -139,6 +150,29 @@ class NavController extends SimpleEmitter {
     this._active = true;
     this._turnPassedLocation = null;
     this._turnPassedStepIndex = null;
+    this._offRouteCount = 0;
+    this._offRouteSince = null;
+    this._rerouting = false;
+    this._lastRerouteAt = null;
+    this._routeProgressIndex = 0;
+    this._nextWaypointIndex = 0;
+    this._waypointOffset = 0;
+    this._awaitingConfirmation = null;
+    this._arrived = false;
+    this._speedLimit = null;
+    this._overspeed = null;
+    this._matcher.setRoute(route.geometry?.coordinates);
+    this._maneuverTimeline = null;
+    this._pace = { lastTime: null, lastPlanned: null, actual: 0, planned: 0 };
+    this._lastEmittedEta = null;
+    this._targetZoom = null;
+    this._cameraEasingUntil = 0;
+    this._lastCamera = null;
+    this._cameraMode = this._validateCameraMode(this.options.cameraMode);
+    if (this._cameraMode === 'follow' || this._cameraMode === 'north-up') this._followMode = this._cameraMode;
+
+    // A resumed session picks up at its saved step instead of the start of the route
+    if (opts.resume) this._restoreProgress(opts.resume);
 
     // Save current camera state
     this._savedCameraState = {
@@ -148,8 +182,14 @@ class NavController extends SimpleEmitter {
       pitch: this.map.getPitch(),
     };
 
-    // Create location marker
-    this._createLocationMarker();
+    // Create the animated location puck
+    this._createLocationPuck();
+
+    // Panning the map by hand leaves the camera where the user put it
+    this._onMapDrag = () => {
+      if (this._cameraMode !== 'free') this._setCameraMode('free', 'drag');
+    };
+    this.map.on('dragstart', this._onMapDrag);
 
     this._trackingClient = opts.trackingClient || null;
     this._useRemoteFeed = !!opts.useRemoteFeed;
@@ -167,13 +207,16 @@ class NavController extends SimpleEmitter {
           lng: loc.lng ?? loc.payload?.lng,
           speed: loc.speed ?? loc.payload?.speed,
           bearing: loc.bearing ?? loc.payload?.bearing,
+          accuracy: loc.accuracy ?? loc.payload?.accuracy,
           timestamp: loc.timestamp ?? loc.payload?.timestamp,
         };
         this._handleLocation(fixed);
       });
       this._stopProvider = () => unsub();
     } else if (locationProvider) {
+      let delivered = false;
       const locationCallback = (loc) => {
+        delivered = true;
         // Ensure route is ready before handling location
         if (this.route?.geometry?.coordinates && this._active) {
           this._handleLocation(loc);
@@ -195,10 +238,13 @@ class NavController extends SimpleEmitter {
       }
       
       // If location provider has a lastKnownLocation, manually trigger callback after route is ready
-      // This ensures we get an initial location update even if the provider called the callback before route was ready
+      // This ensures we get an initial location update even if the provider called the callback before route was ready.
+      // Providers that hand their current fix to new subscribers themselves (RouteSimulationProvider,
+      // FilteredLocationProvider) have already delivered it; replaying it again would count the fix twice.
       if (locationProvider.lastKnownLocation) {
+        const session = this._session;
         setTimeout(() => {
-          if (this.route?.geometry?.coordinates && this._active) {
+          if (!delivered && session === this._session && this.route?.geometry?.coordinates && this._active) {
             locationCallback(locationProvider.lastKnownLocation);
           }
         }, 300);
@@ -206,33 +252,77 @@ class NavController extends SimpleEmitter {
     }
 
     // Emit the first instruction immediately when starting
-    // Skip start/destination instructions, show "Continue ahead" initially
-    const firstStep = this._instructions[0] || null;
-    if (firstStep && !this._isStartOrDestinationInstruction(firstStep) && !this._isTurnInstruction(firstStep)) {
-      // Show first instruction if it's not a start/destination and not a turn
-      this.emit('stepchange', { stepIndex: 0, step: firstStep });
-      this._lastEmittedInstruction = firstStep;
-    } else {
-      // Always start with "Continue ahead" to avoid showing start/destination icons
-      const continueStep = this._createContinueInstruction();
-      this.emit('stepchange', { stepIndex: null, step: continueStep });
-      this._lastEmittedInstruction = continueStep;
-    }
+    this._emitInitialStep();
     
-    this.emit('start', { route, totalDistance: this._totalDistance });
+    this.emit('start', {
+      route,
+      totalDistance: this._totalDistance,
+      legCount: Array.isArray(route.legs) ? route.legs.length : 1,
+      resumed: !!opts.resume,
+    });
+  }
+
+  /**
+   * State needed to resume this trip later, e.g. after a page reload (see GebetaMaps.resumeNavigation)
+   * @returns {Object|null} - {route, stepIndex, routeProgressIndex, nextWaypointIndex, waypointOffset,
+   *   destination, waypoints, visitedWaypoints}, or null when not navigating
+   */
+  getSessionState() {
+    if (!this._active || !this.route) return null;
+    // Alternatives are not needed to continue and can be large
+    const { alternatives, ...route } = this.route;
+    const waypoints = Array.isArray(route.waypoints) ? route.waypoints : [];
+    const remaining = this._remainingWaypoints();
+    return {
+      route,
+      stepIndex: this._stepIndex,
+      routeProgressIndex: this._routeProgressIndex,
+      // A stop still waiting for confirmation counts as not reached, so it is announced again on resume
+      nextWaypointIndex: this._awaitingConfirmation ? this._awaitingConfirmation.legIndex : this._nextWaypointIndex,
+      waypointOffset: this._waypointOffset,
+      destination: route.destination || null,
+      waypoints,
+      visitedWaypoints: waypoints.slice(0, waypoints.length - remaining.length),
+    };
+  }
+
+  _restoreProgress(state) {
+    const lastStep = Math.max(this._instructions.length - 1, 0);
+    this._stepIndex = Math.min(Math.max(Number(state.stepIndex) || 0, 0), lastStep);
+    this._routeProgressIndex = Math.max(Number(state.routeProgressIndex) || 0, 0);
+    // Older sessions have no waypoint index; count the legs already passed instead
+    const waypointCount = Array.isArray(this.route.waypoints) ? this.route.waypoints.length : 0;
+    this._nextWaypointIndex = Number.isInteger(state.nextWaypointIndex)
+      ? Math.max(state.nextWaypointIndex, 0)
+      : waypointCount - this._remainingWaypoints().length;
+    this._waypointOffset = Math.max(Number(state.waypointOffset) || 0, 0);
+    // Match the first fix near the saved position rather than from the start of the route
+    const along = this._matcher.distanceAt(this._routeProgressIndex);
+    if (along !== null) this._matcher.seek(along);
   }
 
   stop() {
     this._active = false;
+    this._session += 1;
     if (this._stopProvider) {
       this._stopProvider();
       this._stopProvider = null;
     }
     
-    // Remove location marker
-    if (this._locationMarker) {
-      this._locationMarker.remove();
-      this._locationMarker = null;
+    // Show the whole route again instead of the part still ahead
+    if (this.route && this.directionsManager?.currentRoute === this.route) {
+      this.directionsManager.resetRouteProgress?.();
+    }
+
+    // Stop the puck's render loop and remove it
+    if (this._puck) {
+      this._puck.remove();
+      this._puck = null;
+    }
+    this._lastCamera = null;
+    if (this._onMapDrag) {
+      this.map.off('dragstart', this._onMapDrag);
+      this._onMapDrag = null;
     }
     
     // Reset turn tracking
@@ -254,6 +344,206 @@ class NavController extends SimpleEmitter {
     this.emit('stop');
   }
 
+  _emitInitialStep() {
+    // Skip start/destination instructions, show "Continue ahead" initially
+    const firstStep = this._instructions[this._stepIndex] || null;
+    if (firstStep && !this._isStartOrDestinationInstruction(firstStep) && !this._isTurnInstruction(firstStep)) {
+      // Show first instruction if it's not a start/destination and not a turn
+      this.emit('stepchange', { stepIndex: this._stepIndex, step: firstStep });
+      this._lastEmittedInstruction = firstStep;
+    } else {
+      // Always start with "Continue ahead" to avoid showing start/destination icons
+      const continueStep = this._createContinueInstruction();
+      this.emit('stepchange', { stepIndex: null, step: continueStep });
+      this._lastEmittedInstruction = continueStep;
+    }
+  }
+
+  /**
+   * Request a new route from `location` to the waypoints not yet visited and the
+   * destination, and swap it in without restarting navigation or moving the camera.
+   * Called automatically when `autoReroute` is enabled and the user stays off route.
+   * @param {Object} location - {lat, lng}
+   * @returns {Promise<Object|null>} - The new route, or null if rerouting failed or was skipped
+   */
+  async reroute(location) {
+    if (!this._active || !this.route || !location || this._rerouting) return null;
+
+    const session = this._session;
+    const previousRoute = this.route;
+    const coords = previousRoute.geometry?.coordinates || [];
+    const destination = previousRoute.destination || (coords.length > 0 ? pointToLngLat(coords[coords.length - 1]) : null);
+    const waypoints = this._remainingWaypoints();
+    // Only redraw the route if the one being replaced is the one on the map
+    const wasDisplayed = !!this.directionsManager && this.directionsManager.currentRoute === previousRoute;
+
+    this._rerouting = true;
+    this._lastRerouteAt = this._locationTime(location);
+    this.emit('reroutestart', { location, destination, waypoints });
+
+    try {
+      let newRoute;
+      if (typeof this.options.rerouteFn === 'function') {
+        // Custom handlers may return the new route, or handle it themselves and return nothing
+        newRoute = await this.options.rerouteFn(location, { destination, waypoints, route: previousRoute });
+      } else {
+        if (!this.directionsManager || !destination) {
+          throw new Error('Rerouting requires a directions manager and a route destination');
+        }
+        newRoute = await this.directionsManager.getDirections(
+          { lat: location.lat, lng: location.lng },
+          destination,
+          { profile: previousRoute.profile || 'auto', ...this.options.rerouteOptions, waypoints }
+        );
+      }
+
+      // Navigation was stopped or restarted while the request was running
+      if (session !== this._session) return null;
+
+      const replaced = !!newRoute?.geometry?.coordinates;
+      if (replaced) {
+        this._applyRoute(newRoute, wasDisplayed);
+      }
+      this.emit('reroutecomplete', { route: this.route, previousRoute, location, replaced });
+      return replaced ? newRoute : null;
+    } catch (error) {
+      if (session !== this._session) return null;
+      console.error('Reroute failed:', error);
+      this.emit('reroutefailed', { error, location });
+      return null;
+    } finally {
+      if (session === this._session) {
+        this._rerouting = false;
+        this._offRouteCount = 0;
+        this._offRouteSince = null;
+      }
+    }
+  }
+
+  _applyRoute(route, redraw) {
+    // The new route only contains the stops still ahead; shift the stop numbering by those dropped
+    const previousCount = Array.isArray(this.route?.waypoints) ? this.route.waypoints.length : 0;
+    const dropped = Array.isArray(route.waypoints)
+      ? Math.max(previousCount - route.waypoints.length, 0)
+      : this._nextWaypointIndex;
+    this._waypointOffset += dropped;
+    this._nextWaypointIndex = 0;
+    this._awaitingConfirmation = null;
+
+    this.route = route;
+    this._instructions = Array.isArray(route.instructions) ? route.instructions : [];
+    this._totalDistance = this._computeTotalDistance(route);
+    this._stepIndex = 0;
+    this._lastEmittedStepIndex = null;
+    this._lastEmittedInstruction = null;
+    this._turnPassedLocation = null;
+    this._turnPassedStepIndex = null;
+    this._routeProgressIndex = 0;
+    this._matcher.setRoute(route.geometry?.coordinates);
+    // Distances along the old route mean nothing on the new one
+    if (this._puck) this._puck.clearRoute();
+    // The observed pace carries over to the new route; its planned times start fresh
+    this._maneuverTimeline = null;
+    if (this._pace) this._pace.lastPlanned = null;
+
+    if (redraw) {
+      // Keep the caller's display options but never refit the map during navigation
+      this.directionsManager.displayRoute(route, {
+        ...(this.directionsManager._lastDisplayOptions || {}),
+        fitBounds: false,
+      });
+    }
+
+    this._emitInitialStep();
+  }
+
+  /**
+   * Continue to the next leg after arriving at a waypoint with `waypointConfirmation` enabled.
+   * Until then guidance stays on the arrived leg and no reroute is requested.
+   * @returns {boolean} - Whether navigation was waiting at a waypoint
+   */
+  continueToNextLeg() {
+    if (!this._active || !this._awaitingConfirmation) return false;
+    const { index, legIndex } = this._awaitingConfirmation;
+    this._awaitingConfirmation = null;
+    this.emit('legstart', { legIndex: legIndex + 1, fromWaypointIndex: this._waypointOffset + index });
+    return true;
+  }
+
+  /**
+   * @returns {boolean} - Whether navigation is waiting at a waypoint for continueToNextLeg()
+   */
+  isAwaitingConfirmation() {
+    return this._awaitingConfirmation !== null;
+  }
+
+  // Waypoint i ends leg i. It is reached once the user is within the arrive threshold of the
+  // leg's end along the route (or already past it); without legs, in a straight line.
+  _checkWaypointArrival(location, snapped) {
+    const waypoints = Array.isArray(this.route.waypoints) ? this.route.waypoints : [];
+    const legs = Array.isArray(this.route.legs) ? this.route.legs : [];
+    while (this._awaitingConfirmation === null && this._nextWaypointIndex < waypoints.length) {
+      const index = this._nextWaypointIndex;
+      const waypoint = waypoints[index];
+      const legEnd = this._matcher.distanceAt(legs[index]?.shapeEndIndex);
+      const reached = legEnd !== null
+        ? legEnd - snapped.along < this.options.arriveThresholdMeters
+        : haversine(location, waypoint) < this.options.arriveThresholdMeters;
+      if (!reached) return;
+
+      this._nextWaypointIndex += 1;
+      const awaitingConfirmation = !!this.options.waypointConfirmation;
+      if (awaitingConfirmation) this._awaitingConfirmation = { index, legIndex: index };
+      this.emit('waypointarrived', {
+        index: this._waypointOffset + index,
+        waypoint,
+        legIndex: index,
+        location,
+        remainingWaypoints: waypoints.length - index - 1,
+        awaitingConfirmation,
+      });
+    }
+  }
+
+  // The leg being driven and where it ends along the route. While waiting at a waypoint
+  // that is still the arrived leg.
+  _currentLeg(snapped) {
+    const legs = Array.isArray(this.route.legs) ? this.route.legs : [];
+    const legIndex = this._awaitingConfirmation ? this._awaitingConfirmation.legIndex : this._nextWaypointIndex;
+    const end = this._matcher.distanceAt(legs[legIndex]?.shapeEndIndex);
+    if (end === null || legIndex >= legs.length - 1) return { legIndex, end: this._totalDistance };
+    return { legIndex, end: Math.max(end, snapped.along) };
+  }
+
+  _remainingWaypoints() {
+    const waypoints = Array.isArray(this.route?.waypoints) ? this.route.waypoints : [];
+    const legs = Array.isArray(this.route?.legs) ? this.route.legs : [];
+    // Waypoint i ends leg i, so it has been visited once progress passes the leg's last shape point
+    const visited = legs.filter((leg) => leg.shapeEndIndex != null && leg.shapeEndIndex <= this._routeProgressIndex).length;
+    return waypoints.slice(Math.min(visited, waypoints.length));
+  }
+
+  _locationTime(location) {
+    return typeof location?.timestamp === 'number' && !isNaN(location.timestamp) ? location.timestamp : Date.now();
+  }
+
+  _handleOffRoute(location) {
+    const now = this._locationTime(location);
+    this._offRouteCount += 1;
+    if (this._offRouteSince === null) this._offRouteSince = now;
+
+    // The user may leave the road at a stop, e.g. to park
+    if (!this.options.autoReroute || this._rerouting || this._awaitingConfirmation) return;
+
+    const { rerouteAfterFixes, rerouteAfterMs, rerouteCooldownMs } = this.options;
+    // A single bad GPS fix should not trigger a reroute
+    const persistent = this._offRouteCount >= rerouteAfterFixes || now - this._offRouteSince >= rerouteAfterMs;
+    const coolingDown = this._lastRerouteAt !== null && now - this._lastRerouteAt < rerouteCooldownMs;
+    if (persistent && !coolingDown) {
+      this.reroute(location);
+    }
+  }
+
   _computeTotalDistance(route) {
     if (!route?.geometry?.coordinates) return 0;
     let dist = 0;
@@ -264,66 +554,150 @@ class NavController extends SimpleEmitter {
     return dist;
   }
 
-  _createLocationMarker() {
+  _createLocationPuck() {
     if (!this.map) return;
-    
-    const el = document.createElement('div');
-    el.style.position = 'relative';
-    el.style.width = '20px';
-    el.style.height = '20px';
-    el.style.borderRadius = '50%';
-    el.style.backgroundColor = '#0c7bdc';
-    el.style.border = '3px solid #fff';
-    el.style.boxShadow = '0 2px 8px rgba(0,0,0,0.3)';
-    el.style.zIndex = '1000';
-    
-    // Add arrow pointing in direction of travel
-    const arrow = document.createElement('div');
-    arrow.style.width = '0';
-    arrow.style.height = '0';
-    arrow.style.borderLeft = '4px solid transparent';
-    arrow.style.borderRight = '4px solid transparent';
-    arrow.style.borderBottom = '8px solid #0c7bdc';
-    arrow.style.position = 'absolute';
-    arrow.style.top = '-8px';
-    arrow.style.left = '50%';
-    arrow.style.transform = 'translateX(-50%)';
-    el.appendChild(arrow);
-    
-    this._locationMarker = new maplibregl.Marker({ element: el, anchor: 'center' })
-      .setLngLat([0, 0])
-      .addTo(this.map);
+    this._puck = new LocationPuck(this.map, {
+      ...this.options.puckOptions,
+      pointAt: (along) => this._matcher.pointAt(along),
+      onFrame: (frame) => this._updateCamera(frame),
+    });
   }
 
-  _updateLocationMarker(location, bearing) {
-    if (!this._locationMarker || !location) return;
-    
-    this._locationMarker.setLngLat([location.lng, location.lat]);
-    
-    // Rotate marker based on bearing
-    if (bearing !== null && bearing !== undefined) {
-      const markerEl = this._locationMarker.getElement();
-      if (markerEl) {
-        markerEl.style.transform = `rotate(${bearing}deg)`;
-      }
+  _updateLocationMarker(location, snapped) {
+    if (!this._puck || !location) return;
+    // On route the puck is drawn on the route line and animated along it
+    this._puck.update(location, snapped ? { along: snapped.along, point: snapped.point } : {});
+  }
+
+  /**
+   * Change how the camera follows the user
+   * @param {string} mode - 'follow' (heading-up, pitched), 'north-up', 'overview' (fit the remaining route) or 'free'
+   */
+  setCameraMode(mode) {
+    this._setCameraMode(mode, 'api');
+  }
+
+  /**
+   * @returns {string} - The current camera mode
+   */
+  getCameraMode() {
+    return this._cameraMode;
+  }
+
+  /**
+   * Return the camera to the last follow mode ('follow' or 'north-up'), e.g. after the user panned the map
+   */
+  recenter() {
+    this._setCameraMode(this._followMode, 'recenter');
+  }
+
+  _validateCameraMode(mode) {
+    if (!CAMERA_MODES.includes(mode)) {
+      throw new Error(`Invalid camera mode "${mode}". Expected one of: ${CAMERA_MODES.join(', ')}`);
     }
+    return mode;
   }
 
-  _updateCamera(location, bearing) {
-    if (!this.map || !location) return;
-    
-    const bearingValue = bearing !== null && bearing !== undefined ? bearing : 0;
-    
-    // Update camera to follow location with navigation view
-    this.map.easeTo({
-      center: [location.lng, location.lat],
-      zoom: 18,
-      bearing: bearingValue,
-      pitch: 60, // Tilt the camera for 3D navigation view
+  _setCameraMode(mode, reason) {
+    this._validateCameraMode(mode);
+    const previousMode = this._cameraMode;
+    if (mode === previousMode) return;
+    this._cameraMode = mode;
+    if (mode === 'follow' || mode === 'north-up') this._followMode = mode;
+    // The follow modes ease into their view on the next frame
+    this._lastCamera = null;
+    this._puck?.refresh();
+    if (this._active && mode === 'overview') this._fitRemainingRoute();
+    this.emit('cameramodechange', { mode, previousMode, reason });
+  }
+
+  // Camera the follow modes aim for at a puck position
+  _followCamera(position) {
+    const northUp = this._cameraMode === 'north-up';
+    return {
+      center: [position.lng, position.lat],
+      bearing: northUp ? 0 : position.bearing ?? this.map.getBearing(),
+      zoom: this._targetZoom ?? this.options.cameraZoomRange[1],
+      pitch: northUp ? 0 : this.options.cameraPitch,
+    };
+  }
+
+  // Zoom out at speed to see further ahead, and back in when a maneuver comes up
+  _updateTargetZoom(speed, distanceToNextStep) {
+    const [minZoom, maxZoom] = this.options.cameraZoomRange;
+    const speedKmh = (speed ?? 0) * 3.6;
+    // Fully zoomed in up to city speeds, fully out from highway speeds
+    const speedFactor = Math.min(Math.max((speedKmh - 20) / 80, 0), 1);
+    let zoom = maxZoom - (maxZoom - minZoom) * speedFactor;
+
+    const approach = this.options.cameraManeuverZoomMeters;
+    if (distanceToNextStep !== null && distanceToNextStep < approach) {
+      zoom += (maxZoom - zoom) * (1 - distanceToNextStep / approach);
+    }
+    this._targetZoom = zoom;
+  }
+
+  _fitRemainingRoute() {
+    const coords = this._matcher.coordinates;
+    if (!this.map || coords.length < 2) return;
+
+    const remaining = coords.slice(Math.min(this._routeProgressIndex + 1, coords.length - 1)).map((point) => {
+      const { lng, lat } = pointToLngLat(point);
+      return [lng, lat];
+    });
+    const position = this._puck?.getPosition();
+    if (position) remaining.push([position.lng, position.lat]);
+
+    const bounds = remaining.reduce(
+      (result, point) => result.extend(point),
+      new maplibregl.LngLatBounds(remaining[0], remaining[0])
+    );
+    this.map.fitBounds(bounds, {
+      padding: this.options.cameraOverviewPadding,
+      bearing: 0,
+      pitch: 0,
+      maxZoom: this.options.cameraZoomRange[1],
       duration: 1000,
     });
   }
 
+  _updateCamera(frame) {
+    if (!this.map || !frame || frame.lat === undefined) return;
+    // Overview refits on new fixes and free mode leaves the camera alone
+    if (this._cameraMode !== 'follow' && this._cameraMode !== 'north-up') return;
+    if (Date.now() < this._cameraEasingUntil) return;
+
+    const target = this._followCamera(frame);
+    if (!this._lastCamera) {
+      // Ease into the view when navigation starts or the mode changes; frame updates take over afterwards
+      const duration = 800;
+      this._cameraEasingUntil = Date.now() + duration;
+      this._lastCamera = target;
+      this.map.easeTo({ ...target, duration });
+      return;
+    }
+
+    // Called for every puck frame: the center and bearing follow the puck exactly,
+    // while zoom and pitch settle towards their targets
+    const zoom = this.map.getZoom();
+    const pitch = this.map.getPitch();
+    const zoomSettle = 1 - Math.exp(-frame.elapsedMs / 1000);
+    const pitchSettle = 1 - Math.exp(-frame.elapsedMs / 300);
+    const camera = {
+      ...target,
+      zoom: Math.abs(target.zoom - zoom) < 0.01 ? target.zoom : zoom + (target.zoom - zoom) * zoomSettle,
+      pitch: Math.abs(target.pitch - pitch) < 0.1 ? target.pitch : pitch + (target.pitch - pitch) * pitchSettle,
+    };
+
+    // Skip frames where nothing moved, e.g. the one that dims a stale puck
+    const last = this._lastCamera;
+    const unchanged = last && last.center[0] === camera.center[0] && last.center[1] === camera.center[1]
+      && last.bearing === camera.bearing && last.zoom === camera.zoom && last.pitch === camera.pitch;
+    if (unchanged) return;
+    this._lastCamera = camera;
+    this.map.jumpTo(camera);
+  }
+
   _isStartOrDestinationInstruction(step) {
     if (!step) return false;
     const type = step.type;
@@ -360,10 +734,16 @@ class NavController extends SimpleEmitter {
     return (type >= 9 && type <= 16) || (type >= 18 && type <= 21) || type === 26 || type === 27;
   }
 
+  _getGuidance() {
+    const profile = this.route?.profile || 'auto';
+    return { ...DEFAULT_GUIDANCE, ...(PROFILE_GUIDANCE[profile] || {}) };
+  }
+
   _createContinueInstruction() {
+    const guidance = this._getGuidance();
     return {
-      instruction: 'Continue ahead',
-      icon: '⬆️',
+      instruction: t(this.options.language, guidance.continueMessage),
+      icon: guidance.continueIcon,
       type: 8, // Continue type
       coord: null,
       time: null,
@@ -373,8 +753,17 @@ class NavController extends SimpleEmitter {
 
   _handleLocation(location) {
     if (!this._active || !location || !this.route?.geometry?.coordinates) return;
-    const coords = this.route.geometry.coordinates;
-    const snapped = nearestOnLine(location, coords);
+    // Routes assigned directly (setNavigationRoute) are picked up on the first fix
+    if (this._matcher.coordinates !== this.route.geometry.coordinates) {
+      this._matcher.setRoute(this.route.geometry.coordinates);
+      this._maneuverTimeline = null;
+    }
+    const snapped = this._matcher.match(location);
+    if (!snapped) {
+      // Route without a usable line: nothing to measure progress against, only show the fix
+      this._updateLocationMarker(location, null);
+      return;
+    }
     const remainingDistance = Math.max(this._totalDistance - snapped.along, 0);
     const nextStep = this._instructions[this._stepIndex] || null;
     let distToNext = null;
@@ -406,7 +795,8 @@ class NavController extends SimpleEmitter {
     // Determine what instruction to show
     let instructionToShow = null;
     const isTurn = this._isTurnInstruction(nextStep);
-    const TURN_APPROACH_DISTANCE = 50; // Show turn instructions when within 50m
+    const guidance = this._getGuidance();
+    const TURN_APPROACH_DISTANCE = guidance.turnApproachMeters;
     const TURN_PASSED_BUFFER = 10; // Keep showing turn instruction for 10m after passing it
 
     // Check if we're still within the buffer period after passing a turn
@@ -434,7 +824,7 @@ class NavController extends SimpleEmitter {
         instructionToShow = this._createContinueInstruction();
       } else if (nextStep && isTurn) {
         if (distToNext !== null) {
-          // Show turn instruction when approaching (within 50m)
+          // Show turn instruction when approaching
           if (distToNext <= TURN_APPROACH_DISTANCE) {
             instructionToShow = nextStep;
           } else {
@@ -468,8 +858,12 @@ class NavController extends SimpleEmitter {
       this._lastEmittedInstruction = instructionToShow;
     }
     
-    // Advance to next step only after we've passed the current step (within 20m)
-    if (nextStep && distToNext !== null && distToNext < 20 && this._stepIndex < this._instructions.length - 1) {
+    // While waiting for confirmation at a waypoint, guidance stays on the arrived leg
+    const heldAtWaypoint = this._awaitingConfirmation !== null
+      && (this._instructions[this._stepIndex + 1]?.legIndex ?? 0) > this._awaitingConfirmation.legIndex;
+
+    // Advance to next step only after we've passed the current step
+    if (nextStep && distToNext !== null && distToNext < guidance.stepAdvanceMeters && this._stepIndex < this._instructions.length - 1 && !heldAtWaypoint) {
       // If this was a turn, track that we just passed it
       if (isTurn) {
         this._turnPassedLocation = { lat: location.lat, lng: location.lng };
@@ -480,45 +874,241 @@ class NavController extends SimpleEmitter {
       this._lastEmittedInstruction = null;
     }
 
-    const offRoute = snapped.distance > this.options.offRouteThresholdMeters;
+    // Driving against the route for several fixes counts as leaving it
+    const offRoute = snapped.uTurn || snapped.distance > (this.options.offRouteThresholdMeters ?? guidance.offRouteThresholdMeters);
     if (offRoute) {
-      this.emit('offroute', { location, snapped });
-      if (this.options.autoReroute && typeof this.options.rerouteFn === 'function') {
-        this.options.rerouteFn(location);
-      }
+      this.emit('offroute', { location, snapped, reason: snapped.uTurn ? 'uturn' : 'distance' });
+      this._handleOffRoute(location);
+    } else {
+      this._offRouteCount = 0;
+      this._offRouteSince = null;
+      this._routeProgressIndex = Math.max(this._routeProgressIndex, snapped.index);
+      this._checkWaypointArrival(location, snapped);
     }
 
-    if (remainingDistance < this.options.arriveThresholdMeters) {
-      this.emit('arrive', { location });
+    // Arrival at the destination is reported once
+    if (!this._arrived && remainingDistance < this.options.arriveThresholdMeters) {
+      this._arrived = true;
+      this.emit('arrive', { location, destination: this.route.destination || null });
     }
 
-    // Update location marker and camera
-    const bearing = location.bearing ?? null;
-    this._updateLocationMarker(location, bearing);
-    this._updateCamera(location, bearing);
+    // Speed limit of the road being driven; unknown while off route
+    const speedLimit = offRoute ? null : this._speedLimitAt(snapped.index);
+    this._updateSpeedLimit(location, speedLimit);
 
-    // Calculate remaining duration using actual speed if available
+    // Split the displayed route into the part already traveled and the part ahead
+    if (!offRoute && this.directionsManager?.currentRoute === this.route) {
+      this.directionsManager.updateRouteProgress?.(snapped);
+    }
+
+    // Animate the puck towards the fix; in the follow modes the camera follows it frame by frame
+    this._updateLocationMarker(location, offRoute ? null : snapped);
+
+    // Remaining time from the route's planned times, scaled by how fast the trip has actually gone.
+    // The pace is averaged over minutes, so stopping at a light barely moves the ETA.
     const currentSpeed = location.speed ?? null; // m/s
-    const avgSpeedKmh = currentSpeed ? (currentSpeed * 3600 / 1000) : 30; // Convert m/s to km/h, default to 30 km/h
+    const now = this._locationTime(location);
+    const plannedRemaining = this._plannedRemainingSeconds(snapped, remainingDistance);
+    const speedRatio = this._updatePace(plannedRemaining, now);
+    const remainingDurationSeconds = Math.round(plannedRemaining * speedRatio);
+    const eta = now + remainingDurationSeconds * 1000;
+
+    // The current leg ends at the next waypoint, or at the destination on the last leg
+    const leg = this._currentLeg(snapped);
+    const legRemainingDistance = Math.max(leg.end - snapped.along, 0);
+    const plannedAfterLeg = this._plannedRemainingSeconds({ along: leg.end }, Math.max(this._totalDistance - leg.end, 0));
+    const legRemainingDurationSeconds = Math.round(Math.max(plannedRemaining - plannedAfterLeg, 0) * speedRatio);
+    const legEta = now + legRemainingDurationSeconds * 1000;
+    const waypoints = Array.isArray(this.route.waypoints) ? this.route.waypoints : [];
+
+    // Multi-leg routes tag every instruction with the leg it belongs to
+    const currentStep = this._instructions[this._stepIndex] || null;
+    const distanceToNextStep = this._distanceToStep(currentStep, location, snapped);
+    this._updateTargetZoom(currentSpeed, distanceToNextStep);
+    if (this._cameraMode === 'overview') this._fitRemainingRoute();
+    const legIndex = currentStep?.legIndex ?? 0;
+    const formatter = this._formatter();
+
+    const thresholdMs = this.options.etaChangeThresholdSeconds * 1000;
+    if (this._lastEmittedEta === null || Math.abs(eta - this._lastEmittedEta) > thresholdMs) {
+      const previousEta = this._lastEmittedEta;
+      this._lastEmittedEta = eta;
+      this.emit('etachanged', {
+        eta,
+        previousEta,
+        change: previousEta === null ? 0 : Math.round((eta - previousEta) / 1000), // seconds, positive = later
+        remainingDurationSeconds,
+      });
+    }
 
     this.emit('progress', {
       location,
       snappedPoint: snapped.point,
       distanceFromRoute: snapped.distance,
+      matchConfidence: snapped.confidence,
       remainingDistance,
-      remainingDuration: this._estimateDuration(remainingDistance, avgSpeedKmh),
-      currentStep: this._instructions[this._stepIndex] || null,
+      remainingDistanceText: formatter.distance(remainingDistance),
+      remainingDuration: Math.round(remainingDurationSeconds / 60), // minutes
+      remainingDurationSeconds,
+      remainingDurationText: formatter.duration(remainingDurationSeconds),
+      eta, // Arrival timestamp in milliseconds
+      etaText: formatter.clockTime(eta),
+      speedRatio: Math.round(speedRatio * 100) / 100, // Observed / planned travel time; above 1 the trip is running slower than planned
+      currentStep,
       nextStep: this._instructions[this._stepIndex + 1] || null,
+      distanceToNextStep,
+      legIndex,
+      legCount: Array.isArray(this.route.legs) ? this.route.legs.length : 1,
+      legRemainingDistance,
+      legRemainingDistanceText: formatter.distance(legRemainingDistance),
+      legRemainingDurationSeconds,
+      legRemainingDurationText: formatter.duration(legRemainingDurationSeconds),
+      legEta,
+      legEtaText: formatter.clockTime(legEta),
+      nextWaypoint: waypoints[leg.legIndex] || null, // null on the last leg
+      nextWaypointIndex: leg.legIndex < waypoints.length ? this._waypointOffset + leg.legIndex : null,
+      awaitingConfirmation: this._awaitingConfirmation !== null,
       totalDistance: this._totalDistance,
-      bearing: bearing,
+      bearing: location.bearing ?? null,
       speed: currentSpeed,
+      speedText: currentSpeed !== null ? formatter.speed(currentSpeed) : null,
+      speedLimit, // km/h, null where unknown
+      speedLimitText: speedLimit !== null ? formatter.speed(speedLimit / 3.6) : null,
+      overspeed: this._overspeed !== null,
     });
   }
 
-  _estimateDuration(distanceMeters, avgSpeedKmh = 30) {
-    if (avgSpeedKmh <= 0) return 0; // Avoid division by zero
-    const hours = distanceMeters / 1000 / avgSpeedKmh;
-    return Math.round(hours * 60); // minutes
+  _speedLimitAt(segmentIndex) {
+    const limits = this.route.speedLimits;
+    return Array.isArray(limits) ? limits[segmentIndex] ?? null : null;
+  }
+
+  // Emit `speedlimit` when the limit changes, and `overspeed` / `overspeedend` around each
+  // stretch driven faster than the limit plus the tolerance
+  _updateSpeedLimit(location, speedLimit) {
+    const formatter = this._formatter();
+    if (speedLimit !== this._speedLimit) {
+      const previousSpeedLimit = this._speedLimit;
+      this._speedLimit = speedLimit;
+      this.emit('speedlimit', {
+        speedLimit,
+        previousSpeedLimit,
+        speedLimitText: speedLimit !== null ? formatter.speed(speedLimit / 3.6) : null,
+        location,
+      });
+    }
+
+    // Fixes without a speed leave the state as it is
+    if (typeof location.speed !== 'number' || isNaN(location.speed)) return;
+    const speedKmh = location.speed * 3.6;
+    const now = this._locationTime(location);
+    const speeding = speedLimit !== null && speedKmh > speedLimit + this.options.overspeedToleranceKmh;
+
+    if (speeding && !this._overspeed) {
+      this._overspeed = { since: now, speedLimit, maxSpeedKmh: speedKmh };
+      this.emit('overspeed', {
+        speed: location.speed,
+        speedKmh: Math.round(speedKmh),
+        speedLimit,
+        excessKmh: Math.round(speedKmh - speedLimit),
+        speedText: formatter.speed(location.speed),
+        speedLimitText: formatter.speed(speedLimit / 3.6),
+        location,
+        timestamp: now,
+      });
+    } else if (speeding) {
+      this._overspeed.maxSpeedKmh = Math.max(this._overspeed.maxSpeedKmh, speedKmh);
+    } else if (this._overspeed) {
+      const { since, speedLimit: limit, maxSpeedKmh } = this._overspeed;
+      this._overspeed = null;
+      this.emit('overspeedend', {
+        speedLimit: limit,
+        maxSpeedKmh: Math.round(maxSpeedKmh),
+        durationMs: now - since,
+        location,
+        timestamp: now,
+      });
+    }
+  }
+
+  // Distance to the step's maneuver point: along the route when the step knows its
+  // shape index, otherwise in a straight line
+  _distanceToStep(step, location, snapped) {
+    if (!step) return null;
+    const stepAlong = this._matcher.distanceAt(step.shapeIndex);
+    if (stepAlong !== null) {
+      return Math.max(stepAlong - snapped.along, 0);
+    }
+    const coord = Array.isArray(step.coord) ? step.coord : null;
+    return coord ? haversine(location, pointToLngLat(coord)) : null;
+  }
+
+  /**
+   * Planned time left from a route position. Uses the per-maneuver `time` values when every
+   * instruction has one, prorating the current maneuver by distance; otherwise the route's
+   * total time, or the profile's average speed.
+   */
+  _plannedRemainingSeconds(snapped, remainingDistance) {
+    const timeline = this._getManeuverTimeline();
+    if (timeline) {
+      let remaining = 0;
+      for (let i = timeline.length - 1; i >= 0; i--) {
+        const { start, end, time } = timeline[i];
+        if (snapped.along >= end) break;
+        remaining += snapped.along <= start ? time : (time * (end - snapped.along)) / (end - start);
+      }
+      return remaining;
+    }
+    if (this.route.totalTime && this._totalDistance > 0) {
+      return (this.route.totalTime * remainingDistance) / this._totalDistance;
+    }
+    const profileSpeedKmh = ROUTING_PROFILES[this.route.profile]?.avgSpeedKmh ?? 30;
+    return estimateDuration(remainingDistance, profileSpeedKmh) ?? 0;
+  }
+
+  // [{start, end, time}] per instruction, with start/end as distances along the route
+  _getManeuverTimeline() {
+    if (this._maneuverTimeline !== null) return this._maneuverTimeline || null;
+    const starts = this._instructions.map((step) => this._matcher.distanceAt(step.shapeIndex));
+    const usable = this._instructions.length > 0 && this._instructions.every(
+      (step, i) => typeof step.time === 'number' && starts[i] !== null
+    );
+    const timeline = usable
+      ? this._instructions
+        .map((step, i) => ({ start: starts[i], end: i + 1 < starts.length ? starts[i + 1] : this._totalDistance, time: step.time }))
+        .filter(({ start, end }) => end > start)
+      : [];
+    this._maneuverTimeline = timeline.length > 0 ? timeline : false;
+    return this._maneuverTimeline || null;
+  }
+
+  /**
+   * Update the observed pace with a new fix and return the observed / planned time ratio.
+   * Elapsed and planned seconds are summed with exponential decay, so older driving fades out.
+   */
+  _updatePace(plannedRemaining, now) {
+    const pace = this._pace || (this._pace = { lastTime: null, lastPlanned: null, actual: 0, planned: 0 });
+    const { etaSmoothingSeconds, etaPriorSeconds, etaRatioRange } = this.options;
+
+    if (pace.lastTime !== null && pace.lastPlanned !== null) {
+      const elapsed = (now - pace.lastTime) / 1000;
+      if (elapsed > 0) {
+        const decay = Math.exp(-elapsed / etaSmoothingSeconds);
+        pace.actual = pace.actual * decay + elapsed;
+        pace.planned = pace.planned * decay + Math.max(pace.lastPlanned - plannedRemaining, 0);
+      }
+    }
+    pace.lastTime = now;
+    pace.lastPlanned = plannedRemaining;
+
+    // The prior pulls the ratio towards the route's own times until there is enough driving to judge
+    const ratio = (pace.actual + etaPriorSeconds) / (pace.planned + etaPriorSeconds);
+    const [minRatio, maxRatio] = etaRatioRange;
+    return Math.min(Math.max(ratio, minRatio), maxRatio);
+  }
+
+  _formatter() {
+    return new Formatter({ language: this.options.language, units: this.options.units });
   }
 }
 
@@ -0,0 +1,122 @@
+// Bumped when the stored session shape changes; sessions of another version are ignored
+const SESSION_VERSION = 1;
+
+/**
+ * In-memory storage with the Web Storage interface (getItem/setItem/removeItem).
+ * Useful in tests and where localStorage is unavailable.
+ */
+export class MemoryStorage {
+  constructor() {
+    this._items = new Map();
+  }
+
+  getItem(key) {
+    return this._items.has(key) ? this._items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this._items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this._items.delete(key);
+  }
+
+  clear() {
+    this._items.clear();
+  }
+}
+
+// localStorage when the browser allows it (it throws in some private modes and sandboxed frames)
+function defaultStorage() {
+  try {
+    if (typeof localStorage !== 'undefined' && localStorage) return localStorage;
+  } catch (error) {
+    // Fall through to memory storage
+  }
+  return new MemoryStorage();
+}
+
+/**
+ * Stores the state of a running navigation so it can be resumed after a page reload.
+ *
+ * The storage is anything with the Web Storage interface: localStorage by default,
+ * a MemoryStorage, or an adapter over another store. Sessions older than `maxAgeMs`
+ * are treated as finished and dropped.
+ */
+class NavigationSessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.storage - Web Storage-like object (default: localStorage, else a MemoryStorage)
+   * @param {string} options.key - Storage key (default: 'gebeta-navigation-session')
+   * @param {number} options.maxAgeMs - Sessions saved longer ago than this are not resumed (default: 6 hours)
+   * @param {number} options.saveIntervalMs - Minimum time between saves on progress updates (default: 5000)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || defaultStorage();
+    this.key = options.key || 'gebeta-navigation-session';
+    this.maxAgeMs = options.maxAgeMs ?? 6 * 60 * 60 * 1000;
+    this.saveIntervalMs = options.saveIntervalMs ?? 5000;
+  }
+
+  /**
+   * Save a session, replacing the previous one
+   * @param {Object} session - JSON-serializable session state
+   * @returns {boolean} - Whether the session was stored
+   */
+  save(session) {
+    try {
+      this.storage.setItem(this.key, JSON.stringify({ ...session, version: SESSION_VERSION, savedAt: Date.now() }));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled; navigation carries on without persistence
+      console.warn('[GebetaMaps] Could not save navigation session:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the stored session
+   * @returns {Object|null} - The session, or null when there is none, it is expired or unreadable
+   */
+  load() {
+    let session = null;
+    try {
+      const text = this.storage.getItem(this.key);
+      session = text ? JSON.parse(text) : null;
+    } catch (error) {
+      console.warn('[GebetaMaps] Could not read navigation session:', error);
+    }
+
+    if (!session || session.version !== SESSION_VERSION || !session.route) {
+      if (session) this.clear();
+      return null;
+    }
+    if (typeof session.savedAt !== 'number' || Date.now() - session.savedAt > this.maxAgeMs) {
+      this.clear();
+      return null;
+    }
+    return session;
+  }
+
+  clear() {
+    try {
+      this.storage.removeItem(this.key);
+    } catch (error) {
+      // Nothing to clear
+    }
+  }
+}
+
+/**
+ * Create the session store GebetaMaps should use from its `session` option
+ * @param {NavigationSessionStore|Object|boolean} option - A store, store options, or false to disable persistence
+ * @returns {NavigationSessionStore|null}
+ */
+export function createSessionStore(option) {
+  if (option === false || option === null) return null;
+  if (option instanceof NavigationSessionStore) return option;
+  return new NavigationSessionStore(typeof option === 'object' ? option : {});
+}
+
+export default NavigationSessionStore;
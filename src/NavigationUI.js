@@ -23,6 +23,27 @@
  *   }
  * }
  */
+import { t } from './i18n.js';
+import Formatter from './Formatter.js';
+
+// Arrow shown for each lane indication
+const LANE_ARROWS = {
+  none: '↑',
+  straight: '↑',
+  through: '↑',
+  slight_left: '↖',
+  slight_right: '↗',
+  left: '←',
+  right: '→',
+  sharp_left: '↙',
+  sharp_right: '↘',
+  uturn: '↶',
+  uturn_left: '↶',
+  uturn_right: '↷',
+  merge_to_left: '↖',
+  merge_to_right: '↗',
+};
+
 export class NavigationUI {
   /**
    * Create a NavigationUI instance
@@ -32,6 +53,9 @@ export class NavigationUI {
    * @param {string} options.position - Position of UI ('top', 'bottom', 'center')
    * @param {string} options.theme - Theme ('light', 'dark')
    * @param {Function} options.onStop - Callback when stop button is clicked
+   * @param {string} options.language - UI language (default: the controller's language, else 'en')
+   * @param {string} options.units - 'metric' or 'imperial' (default: the controller's units, else 'metric')
+   * @param {boolean} options.showSpeed - Show the current speed and the speed limit sign (default: true)
    */
   constructor(map, navController, options = {}) {
     this.map = map;
@@ -40,15 +64,70 @@ export class NavigationUI {
       position: 'top',
       theme: 'light',
       onStop: null,
+      language: null,
+      units: null,
+      showSpeed: true,
       ...options,
     };
     this._mounted = false;
     this._container = null;
     this._instructionEl = null;
     this._instructionIconEl = null;
+    this._signageEl = null;
+    this._lanesEl = null;
     this._distanceEl = null;
     this._timeEl = null;
     this._stopBtn = null;
+    this._recenterBtn = null;
+    this._speedEl = null;
+    this._speedLimitEl = null;
+    this._currentSpeedEl = null;
+    this._lastProgress = null;
+  }
+
+  /**
+   * Language used for UI text and number formatting
+   * @returns {string}
+   */
+  _language() {
+    return this.options.language || this.nav?.options?.language || 'en';
+  }
+
+  /**
+   * Change the UI language and relabel the mounted UI. Instruction texts come from the
+   * route and keep its language until the route is requested again.
+   * @param {string} language - Language code, e.g. 'am'
+   */
+  setLanguage(language) {
+    const previous = this._language();
+    this.options.language = language;
+    if (!this._mounted) return;
+
+    const label = (selector, key) => {
+      const element = this._container.querySelector(selector);
+      if (element) element.textContent = t(language, key);
+    };
+    label('.gebeta-nav-distance .label', 'nav.distance');
+    label('.gebeta-nav-time .label', 'nav.time');
+    if (this._recenterBtn) this._recenterBtn.textContent = `➤ ${t(language, 'nav.recenter')}`;
+    if (this._speedLimitEl) this._speedLimitEl.title = t(language, 'nav.speedLimit');
+    // Placeholder texts the UI wrote itself
+    ['nav.ready', 'nav.continue'].forEach((key) => {
+      if (this._instructionEl && this._instructionEl.textContent === t(previous, key)) {
+        this._instructionEl.textContent = t(language, key);
+      }
+    });
+    // Reformat the last distance, time and speed
+    if (this._lastProgress) this.update(this._lastProgress);
+  }
+
+  /**
+   * Formatter for the UI language and unit system
+   * @returns {Formatter}
+   */
+  _formatter() {
+    const units = this.options.units || this.nav?.options?.units || 'metric';
+    return new Formatter({ language: this._language(), units });
   }
 
   /**
@@ -72,12 +151,31 @@ export class NavigationUI {
       if (this.nav.route?.instructions?.[0]) {
         this._setInstruction(this.nav.route.instructions[0]);
       }
+      this._setRecenterVisible(this._isCameraDetached());
+    });
+
+    this.nav.on('cameramodechange', () => {
+      this._setRecenterVisible(this._isCameraDetached());
+    });
+
+    this.nav.on('stop', () => {
+      this._setRecenterVisible(false);
     });
     
     // If navigation is already active when UI is mounted, update immediately
     if (this.nav._active && this.nav.route?.instructions?.[0]) {
       this._setInstruction(this.nav.route.instructions[0]);
     }
+    this._setRecenterVisible(!!this.nav._active && this._isCameraDetached());
+  }
+
+  /**
+   * Whether the camera has stopped following the user (panned map or route overview)
+   * @returns {boolean}
+   */
+  _isCameraDetached() {
+    const mode = this.nav?.getCameraMode?.();
+    return mode === 'free' || mode === 'overview';
   }
 
   /**
@@ -98,9 +196,23 @@ export class NavigationUI {
     wrapper.appendChild(metrics);
     parent.appendChild(wrapper);
 
+    const recenter = this._createRecenterButton();
+    parent.appendChild(recenter);
+    this._recenterBtn = recenter;
+
+    if (this.options.showSpeed) {
+      const speed = this._createSpeedDisplay();
+      parent.appendChild(speed);
+      this._speedEl = speed;
+      this._speedLimitEl = speed.querySelector('.gebeta-nav-speed-limit');
+      this._currentSpeedEl = speed.querySelector('.gebeta-nav-speed-current');
+    }
+
     this._container = wrapper;
     this._instructionEl = instructionCard.querySelector('.gebeta-nav-instruction');
     this._instructionIconEl = instructionCard.querySelector('.gebeta-nav-icon');
+    this._signageEl = instructionCard.querySelector('.gebeta-nav-signage');
+    this._lanesEl = instructionCard.querySelector('.gebeta-nav-lanes');
     this._distanceEl = metrics._distanceEl || metrics.querySelector('.gebeta-nav-distance .value');
     this._timeEl = metrics._timeEl || metrics.querySelector('.gebeta-nav-time .value');
     this._mounted = true;
@@ -133,12 +245,27 @@ export class NavigationUI {
     icon.className = 'gebeta-nav-icon';
     icon.textContent = '⬆️';
     
+    const body = document.createElement('div');
+    body.className = 'gebeta-nav-body';
+
+    const signage = document.createElement('div');
+    signage.className = 'gebeta-nav-signage';
+    signage.style.display = 'none';
+    
     const instructionText = document.createElement('div');
     instructionText.className = 'gebeta-nav-instruction';
-    instructionText.textContent = 'Ready';
+    instructionText.textContent = t(this._language(), 'nav.ready');
+
+    const lanes = document.createElement('div');
+    lanes.className = 'gebeta-nav-lanes';
+    lanes.style.display = 'none';
+
+    body.appendChild(signage);
+    body.appendChild(instructionText);
+    body.appendChild(lanes);
     
     instructionCard.appendChild(icon);
-    instructionCard.appendChild(instructionText);
+    instructionCard.appendChild(body);
     
     return instructionCard;
   }
@@ -154,11 +281,11 @@ export class NavigationUI {
     
     const distance = document.createElement('div');
     distance.className = 'gebeta-nav-distance gebeta-nav-metric';
-    distance.innerHTML = `<div class="label">Distance</div><div class="value">--</div>`;
+    distance.innerHTML = `<div class="label">${t(this._language(), 'nav.distance')}</div><div class="value">--</div>`;
     
     const time = document.createElement('div');
     time.className = 'gebeta-nav-time gebeta-nav-metric';
-    time.innerHTML = `<div class="label">Time</div><div class="value">--</div>`;
+    time.innerHTML = `<div class="label">${t(this._language(), 'nav.time')}</div><div class="value">--</div>`;
     
     metrics.appendChild(distance);
     metrics.appendChild(time);
@@ -170,6 +297,69 @@ export class NavigationUI {
     return metrics;
   }
 
+  /**
+   * Create the button that returns the camera to the user after panning the map
+   * Can be overridden to customize the recenter control
+   * @returns {HTMLElement}
+   */
+  _createRecenterButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'gebeta-nav-recenter';
+    button.textContent = `➤ ${t(this._language(), 'nav.recenter')}`;
+    button.style.display = 'none';
+    button.addEventListener('click', () => this.nav?.recenter?.());
+    return button;
+  }
+
+  /**
+   * Create the current speed display with a speed limit sign
+   * Can be overridden to customize the speed display
+   * @returns {HTMLElement}
+   */
+  _createSpeedDisplay() {
+    const speed = document.createElement('div');
+    speed.className = 'gebeta-nav-speed';
+    speed.style.display = 'none';
+
+    const limit = document.createElement('div');
+    limit.className = 'gebeta-nav-speed-limit';
+    limit.title = t(this._language(), 'nav.speedLimit');
+    limit.style.display = 'none';
+
+    const current = document.createElement('div');
+    current.className = 'gebeta-nav-speed-current';
+
+    speed.appendChild(limit);
+    speed.appendChild(current);
+    return speed;
+  }
+
+  /**
+   * Show the current speed and the speed limit, highlighting the speed while over the limit
+   * @param {number|null} speed - Current speed in m/s
+   * @param {number|null} speedLimit - Speed limit in km/h
+   * @param {boolean} overspeed - Whether the user is speeding
+   */
+  _setSpeed(speed, speedLimit, overspeed) {
+    if (!this._speedEl) return;
+    const formatter = this._formatter();
+    const hasSpeed = typeof speed === 'number' && !isNaN(speed);
+    const hasLimit = typeof speedLimit === 'number';
+
+    this._currentSpeedEl.textContent = hasSpeed ? formatter.speed(Math.max(speed, 0)) : '';
+    this._currentSpeedEl.style.display = hasSpeed ? '' : 'none';
+    this._speedLimitEl.textContent = hasLimit ? formatter.speed(speedLimit / 3.6, { unit: false }) : '';
+    this._speedLimitEl.style.display = hasLimit ? '' : 'none';
+    this._speedEl.classList.toggle('overspeed', !!overspeed);
+    this._speedEl.style.display = hasSpeed || hasLimit ? '' : 'none';
+  }
+
+  _setRecenterVisible(visible) {
+    if (!this._recenterBtn) return;
+    this._recenterBtn.style.display = visible ? '' : 'none';
+  }
+
   /**
    * Update the UI with navigation progress data
    * Can be overridden to customize update behavior
@@ -177,28 +367,27 @@ export class NavigationUI {
    */
   update(data) {
     if (!this._mounted) return;
+    this._lastProgress = data;
     
+    const formatter = this._formatter();
+
     if (this._distanceEl && data.remainingDistance !== undefined) {
-      const km = data.remainingDistance / 1000;
-      this._distanceEl.textContent = `${km.toFixed(km >= 10 ? 0 : 1)} km`;
+      this._distanceEl.textContent = formatter.distance(data.remainingDistance);
     }
     
-    if (this._timeEl && data.remainingDuration !== undefined) {
-      const duration = data.remainingDuration;
-      if (typeof duration === 'string') {
+    if (this._timeEl) {
+      if (typeof data.remainingDurationSeconds === 'number') {
+        this._timeEl.textContent = formatter.duration(data.remainingDurationSeconds);
+      } else if (typeof data.remainingDuration === 'string') {
         // Already formatted (e.g., "5 min" or "1h 30m")
-        this._timeEl.textContent = duration;
-      } else if (typeof duration === 'number') {
+        this._timeEl.textContent = data.remainingDuration;
+      } else if (typeof data.remainingDuration === 'number') {
         // Minutes as number
-        if (duration < 60) {
-          this._timeEl.textContent = `${duration} min`;
-        } else {
-          const h = Math.floor(duration / 60);
-          const m = duration % 60;
-          this._timeEl.textContent = m > 0 ? `${h}h ${m}m` : `${h}h`;
-        }
+        this._timeEl.textContent = formatter.duration(data.remainingDuration * 60);
       }
     }
+
+    this._setSpeed(data.speed ?? null, data.speedLimit ?? null, data.overspeed);
   }
 
   /**
@@ -209,18 +398,78 @@ export class NavigationUI {
   _setInstruction(step) {
     if (!this._instructionEl || !this._instructionIconEl) return;
     
+    const language = this._language();
+
     if (!step) {
-      this._instructionEl.textContent = 'Continue';
+      this._instructionEl.textContent = t(language, 'nav.continue');
       this._instructionIconEl.textContent = '⬆️';
+      this._setSignage('');
+      this._setLanes(null);
       return;
     }
     
     // Use icon from step if available, otherwise default
     const icon = step.icon || '⬆️';
-    const instruction = step.instruction || step.path || step.turn || 'Continue';
+    const instruction = step.instruction || step.path || step.turn || t(language, 'nav.continue');
     
     this._instructionIconEl.textContent = icon;
     this._instructionEl.textContent = instruction;
+    this._setSignage(this._formatSignage(step));
+    this._setLanes(step.lanes);
+  }
+
+  /**
+   * Build the signage line for a step, e.g. "Exit 3 toward Bole"
+   * Can be overridden to customize signage text
+   * @param {Object} step - Instruction step object
+   * @returns {string} - Signage text (empty when the step has no sign or exit)
+   */
+  _formatSignage(step) {
+    const language = this._language();
+    const sign = step.sign || {};
+    const exitNumber = sign.exitNumbers?.[0] ?? step.roundaboutExitCount;
+    let text = exitNumber ? t(language, 'nav.exit', { exit: exitNumber }) : '';
+
+    if (sign.exitBranches?.length) {
+      text += `${text ? ': ' : ''}${sign.exitBranches.join(' / ')}`;
+    }
+    if (sign.exitToward?.length) {
+      text += `${text ? ' ' : ''}${t(language, 'nav.toward', { toward: sign.exitToward.join(' / ') })}`;
+    } else if (!text && sign.exitNames?.length) {
+      text = sign.exitNames.join(' / ');
+    }
+    return text;
+  }
+
+  _setSignage(text) {
+    if (!this._signageEl) return;
+    this._signageEl.textContent = text;
+    this._signageEl.style.display = text ? '' : 'none';
+  }
+
+  /**
+   * Render lane arrows, highlighting the lanes valid for the maneuver
+   * Can be overridden to customize lane display
+   * @param {Array|null} lanes - Lanes from left to right ({indications, valid, active})
+   */
+  _setLanes(lanes) {
+    if (!this._lanesEl) return;
+    this._lanesEl.innerHTML = '';
+    if (!Array.isArray(lanes) || lanes.length === 0) {
+      this._lanesEl.style.display = 'none';
+      return;
+    }
+
+    lanes.forEach((lane) => {
+      const laneEl = document.createElement('div');
+      laneEl.className = 'gebeta-nav-lane';
+      if (lane.valid) laneEl.classList.add('valid');
+      if (lane.active) laneEl.classList.add('active');
+      const indications = lane.indications?.length ? lane.indications : ['none'];
+      laneEl.textContent = indications.map((indication) => LANE_ARROWS[indication] || '↑').join('');
+      this._lanesEl.appendChild(laneEl);
+    });
+    this._lanesEl.style.display = '';
   }
 
   /**
@@ -230,7 +479,17 @@ export class NavigationUI {
     if (this._container && this._container.parentElement) {
       this._container.parentElement.removeChild(this._container);
     }
+    if (this._recenterBtn && this._recenterBtn.parentElement) {
+      this._recenterBtn.parentElement.removeChild(this._recenterBtn);
+    }
+    if (this._speedEl && this._speedEl.parentElement) {
+      this._speedEl.parentElement.removeChild(this._speedEl);
+    }
     this._container = null;
+    this._recenterBtn = null;
+    this._speedEl = null;
+    this._speedLimitEl = null;
+    this._currentSpeedEl = null;
     this._mounted = false;
   }
 
@@ -288,12 +547,51 @@ export class NavigationUI {
         font-weight: 700;
         flex-shrink: 0;
       }
-      .gebeta-nav-instruction {
+      .gebeta-nav-body {
         flex: 1;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        min-width: 0;
+      }
+      .gebeta-nav-instruction {
         font-size: 16px;
         font-weight: 600;
         color: #333;
       }
+      .gebeta-nav-signage {
+        align-self: flex-start;
+        background: #1b6e3a;
+        color: #fff;
+        border-radius: 6px;
+        padding: 2px 8px;
+        font-size: 13px;
+        font-weight: 600;
+      }
+      .gebeta-nav-lanes {
+        display: flex;
+        gap: 4px;
+      }
+      .gebeta-nav-lane {
+        min-width: 26px;
+        height: 26px;
+        padding: 0 4px;
+        border-radius: 6px;
+        background: #e4e8ee;
+        color: #9aa4b1;
+        display: grid;
+        place-items: center;
+        font-size: 16px;
+        font-weight: 700;
+      }
+      .gebeta-nav-lane.valid {
+        background: #cfe3f8;
+        color: #0c7bdc;
+      }
+      .gebeta-nav-lane.active {
+        background: #0c7bdc;
+        color: #fff;
+      }
       .gebeta-nav-metrics {
         justify-content: space-around;
         gap: 20px;
@@ -314,6 +612,58 @@ export class NavigationUI {
         font-weight: 700;
         color: #333;
       }
+      .gebeta-nav-recenter {
+        position: absolute;
+        bottom: 30px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 1200;
+        border: none;
+        border-radius: 22px;
+        background: #fff;
+        color: #0c7bdc;
+        box-shadow: 0 8px 18px rgba(0,0,0,0.18);
+        padding: 10px 18px;
+        font-size: 15px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+      .gebeta-nav-speed {
+        position: absolute;
+        bottom: 30px;
+        left: 10px;
+        z-index: 1200;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+      .gebeta-nav-speed-limit {
+        width: 48px;
+        height: 48px;
+        box-sizing: border-box;
+        border: 5px solid #e34341;
+        border-radius: 50%;
+        background: #fff;
+        color: #111;
+        display: grid;
+        place-items: center;
+        font-size: 18px;
+        font-weight: 800;
+        box-shadow: 0 4px 10px rgba(0,0,0,0.18);
+      }
+      .gebeta-nav-speed-current {
+        background: #fff;
+        color: #333;
+        border-radius: 10px;
+        padding: 6px 10px;
+        font-size: 15px;
+        font-weight: 700;
+        box-shadow: 0 4px 10px rgba(0,0,0,0.18);
+      }
+      .gebeta-nav-speed.overspeed .gebeta-nav-speed-current {
+        background: #e34341;
+        color: #fff;
+      }
     `;
   }
 }
@@ -0,0 +1,157 @@
+// Per-call cache modes
+export const CACHE_MODES = ['default', 'no-store', 'prefer-cache'];
+
+/**
+ * LRU cache with a time-to-live for API responses.
+ * Concurrent requests for the same key share one in-flight promise.
+ * Values are copied on the way in and out, so callers can modify what they get back
+ * (e.g. a displayed route) without changing what later cache hits see.
+ *
+ * Cache modes (per call):
+ * - 'default': use a fresh entry, otherwise request and store the result
+ * - 'prefer-cache': use any entry, even an expired one, otherwise request and store
+ * - 'no-store': always request, without reading, storing or sharing in-flight requests
+ */
+class RequestCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted (default: 100)
+   * @param {number} options.ttl - Time to live in milliseconds (default: 5 minutes)
+   * @param {number} options.precision - Decimal places coordinates are rounded to in keys (default: 5, about 1 m)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 100;
+    this.ttl = options.ttl ?? 5 * 60 * 1000;
+    this.precision = options.precision ?? 5;
+    // Map iteration order doubles as recency order (oldest first)
+    this.entries = new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Round a {lat, lng} point for use in a cache key
+   * @param {Object} point - {lat: number, lng: number}
+   * @returns {Array<number>|null} - [lat, lng] rounded to the cache precision
+   */
+  roundPoint(point) {
+    if (!point) return null;
+    const factor = Math.pow(10, this.precision);
+    return [Math.round(point.lat * factor) / factor, Math.round(point.lng * factor) / factor];
+  }
+
+  /**
+   * Build a cache key from a namespace and the request parts
+   * @param {string} namespace - Request type, e.g. 'directions'
+   * @param {*} parts - JSON-serializable request description
+   * @returns {string}
+   */
+  key(namespace, parts) {
+    return `${namespace}:${JSON.stringify(parts)}`;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @param {Object} options - {allowExpired: boolean}
+   * @returns {*} - Cached value, or undefined when missing (or expired)
+   */
+  get(key, options = {}) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (!options.allowExpired && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttl - Time to live in milliseconds (default: the cache TTL)
+   */
+  set(key, value, ttl = this.ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Resolve a value through the cache
+   * @param {string} key - Cache key
+   * @param {Function} loader - Called (without arguments) to request the value; returns a promise
+   * @param {string} mode - 'default', 'no-store' or 'prefer-cache'
+   * @returns {Promise<*>}
+   */
+  async resolve(key, loader, mode = 'default') {
+    if (!CACHE_MODES.includes(mode)) {
+      throw new Error(`Invalid cache mode "${mode}". Expected one of: ${CACHE_MODES.join(', ')}`);
+    }
+
+    if (mode === 'no-store') {
+      return loader();
+    }
+
+    const cached = this.get(key, { allowExpired: mode === 'prefer-cache' });
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    if (this.inFlight.has(key)) {
+      // Callers sharing a request each get their own copy
+      return this.inFlight.get(key).then((value) => structuredClone(value));
+    }
+
+    // Failed requests are not cached, so the next call retries
+    const promise = Promise.resolve()
+      .then(loader)
+      .then((value) => {
+        this.set(key, value);
+        return value;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+}
+
+/**
+ * Create the cache a manager should use from its `cache` option
+ * @param {RequestCache|Object|boolean} option - A shared cache, cache options, or false to disable caching
+ * @returns {RequestCache|null}
+ */
+export function createRequestCache(option) {
+  if (option === false || option === null) return null;
+  if (option instanceof RequestCache) return option;
+  return new RequestCache(typeof option === 'object' ? option : {});
+}
+
+export default RequestCache;
@@ -0,0 +1,246 @@
+import { ROUTING_PROFILES } from './DirectionsManager.js';
+
+// Cost used for pairs the matrix could not route between
+const UNREACHABLE_COST = 1e12;
+
+function pairCost(costs, from, to) {
+  const value = costs[from]?.[to];
+  return typeof value === 'number' && isFinite(value) ? value : UNREACHABLE_COST;
+}
+
+/**
+ * Total cost of visiting stops in the given order
+ * @param {Array<Array<number>>} costs - Square cost matrix
+ * @param {Array<number>} order - Visiting order (indices into the matrix)
+ * @param {boolean} roundTrip - Whether the trip returns to the first stop
+ * @returns {number}
+ */
+export function tourCost(costs, order, roundTrip = false) {
+  let total = 0;
+  for (let i = 0; i < order.length - 1; i++) {
+    total += pairCost(costs, order[i], order[i + 1]);
+  }
+  if (roundTrip && order.length > 1) {
+    total += pairCost(costs, order[order.length - 1], order[0]);
+  }
+  return total;
+}
+
+function nearestNeighbourOrder(costs, start, end) {
+  const n = costs.length;
+  const visited = new Array(n).fill(false);
+  const order = [start];
+  visited[start] = true;
+  if (end !== null) visited[end] = true;
+
+  let current = start;
+  while (order.length < n - (end !== null && end !== start ? 1 : 0)) {
+    let next = -1;
+    let nextCost = Infinity;
+    for (let j = 0; j < n; j++) {
+      if (visited[j]) continue;
+      const cost = pairCost(costs, current, j);
+      if (cost < nextCost) {
+        nextCost = cost;
+        next = j;
+      }
+    }
+    if (next === -1) break;
+    visited[next] = true;
+    order.push(next);
+    current = next;
+  }
+
+  if (end !== null && end !== start) order.push(end);
+  return order;
+}
+
+function twoOpt(costs, order, { roundTrip, firstLocked, lastLocked }) {
+  const n = order.length;
+  const lo = firstLocked ? 1 : 0;
+  const hi = lastLocked ? n - 2 : n - 1;
+  let best = order;
+  let bestCost = tourCost(costs, best, roundTrip);
+  let improved = true;
+
+  // Full cost re-evaluation keeps 2-opt correct for asymmetric (one-way) matrices
+  while (improved) {
+    improved = false;
+    for (let i = lo; i < hi; i++) {
+      for (let k = i + 1; k <= hi; k++) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, k + 1).reverse(),
+          ...best.slice(k + 1),
+        ];
+        const candidateCost = tourCost(costs, candidate, roundTrip);
+        if (candidateCost < bestCost - 1e-9) {
+          best = candidate;
+          bestCost = candidateCost;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Order stops with a nearest-neighbour tour improved by 2-opt.
+ * Pure and synchronous, so it can run (and be tested) without any service.
+ * @param {Array<Array<number>>} costs - Square matrix, costs[i][j] from stop i to stop j (null if unreachable)
+ * @param {Object} options - Ordering constraints
+ * @param {boolean} options.roundTrip - Return to the first stop at the end (first stop stays first)
+ * @param {boolean} options.fixedStart - Keep the first stop first
+ * @param {boolean} options.fixedEnd - Keep the last stop last
+ * @returns {Array<number>} - Visiting order as indices into the matrix
+ */
+export function solveTsp(costs, options = {}) {
+  const { roundTrip = false, fixedStart = false, fixedEnd = false } = options;
+  const n = Array.isArray(costs) ? costs.length : 0;
+
+  if (roundTrip && fixedEnd) {
+    throw new Error('fixedEnd cannot be combined with roundTrip');
+  }
+  if (n <= 2) return [...Array(n).keys()];
+
+  const firstLocked = roundTrip || fixedStart;
+  const end = fixedEnd ? n - 1 : null;
+  const starts = firstLocked ? [0] : [...Array(n).keys()].filter(i => i !== end);
+
+  let best = null;
+  let bestCost = Infinity;
+  starts.forEach((start) => {
+    const order = twoOpt(costs, nearestNeighbourOrder(costs, start, end), {
+      roundTrip,
+      firstLocked,
+      lastLocked: fixedEnd,
+    });
+    const cost = tourCost(costs, order, roundTrip);
+    if (cost < bestCost) {
+      best = order;
+      bestCost = cost;
+    }
+  });
+
+  return best;
+}
+
+class RouteOptimizer {
+  constructor(apiKey, matrixManager, options = {}) {
+    this.apiKey = apiKey;
+    this.matrixManager = matrixManager;
+    this.baseUrl = options.baseUrl || 'https://mapapi.gebeta.app/api/route/optimize/';
+  }
+
+  /**
+   * Find the best order to visit stops. The server optimizer is tried first;
+   * when it does not exist or cannot be reached, a travel time matrix is
+   * requested and the stops are ordered client-side with `solveTsp`.
+   * @param {Array} stops - Array of {lat: number, lng: number}
+   * @param {Object} options - Ordering options
+   * @param {boolean} options.roundTrip - Return to the first stop
+   * @param {boolean} options.fixedStart - Keep the first stop first
+   * @param {boolean} options.fixedEnd - Keep the last stop last
+   * @param {string} options.profile - Travel mode (default: 'auto')
+   * @param {string} options.metric - Minimize 'duration' (default) or 'distance'
+   * @returns {Promise<Object>} - {order, stops, method: 'server'|'client', estimated}
+   */
+  async optimize(stops, options = {}) {
+    if (!Array.isArray(stops) || stops.length < 2) {
+      throw new Error('At least two stops are required for route optimization');
+    }
+
+    stops.forEach((stop) => {
+      if (!stop || typeof stop.lat !== 'number' || typeof stop.lng !== 'number') {
+        throw new Error('Stops must be {lat, lng} objects');
+      }
+    });
+
+    const {
+      roundTrip = false,
+      fixedEnd = false,
+      profile = 'auto',
+      metric = 'duration'
+    } = options;
+
+    if (roundTrip && fixedEnd) {
+      throw new Error('fixedEnd cannot be combined with roundTrip');
+    }
+    if (!ROUTING_PROFILES[profile]) {
+      throw new Error(`Invalid profile "${profile}". Expected one of: ${Object.keys(ROUTING_PROFILES).join(', ')}`);
+    }
+    if (metric !== 'duration' && metric !== 'distance') {
+      throw new Error('metric must be "duration" or "distance"');
+    }
+
+    let order = null;
+    try {
+      order = await this._requestServerOrder(stops, options);
+    } catch (error) {
+      if (!error.unavailable) throw error;
+    }
+
+    if (order) {
+      return { order, stops: order.map(i => stops[i]), method: 'server', estimated: false };
+    }
+
+    // Client-side fallback over a travel time (or distance) matrix
+    const matrix = await this.matrixManager.getMatrix(stops, stops, { profile });
+    const costs = metric === 'distance' ? matrix.distances : matrix.durations;
+    order = solveTsp(costs, options);
+
+    return { order, stops: order.map(i => stops[i]), method: 'client', estimated: matrix.estimated };
+  }
+
+  /**
+   * Ask the server optimizer for a visiting order
+   * @param {Array} stops - Array of {lat, lng}
+   * @param {Object} options - Ordering options
+   * @returns {Promise<Array<number>|null>} - Visiting order as indices into stops
+   */
+  async _requestServerOrder(stops, options = {}) {
+    const { roundTrip = false, fixedStart = false, fixedEnd = false, profile = 'auto' } = options;
+    const params = new URLSearchParams({
+      locations: `[${stops.map(s => `{${s.lat},${s.lng}}`).join(',')}]`,
+      roundtrip: roundTrip ? '1' : '0',
+      fixed_start: fixedStart || roundTrip ? '1' : '0',
+      fixed_end: fixedEnd ? '1' : '0',
+      costing: profile,
+      apiKey: this.apiKey
+    });
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}?${params.toString()}`);
+    } catch (err) {
+      const error = new Error(`Optimization API unreachable: ${err.message}`);
+      error.unavailable = true;
+      throw error;
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(`Optimization API error: ${response.status} - ${errorData.message || response.statusText}`);
+      // No optimizer deployed (404) or a server failure both fall back to the client solver
+      error.unavailable = response.status === 404 || response.status >= 500;
+      throw error;
+    }
+
+    const data = await response.json();
+    const locations = data.trip?.locations || [];
+    const order = locations
+      .map(location => location.original_index)
+      .filter(index => Number.isInteger(index));
+
+    // Round trips may repeat the first stop at the end
+    if (order.length === stops.length + 1 && order[0] === order[order.length - 1]) {
+      order.pop();
+    }
+
+    return order.length === stops.length ? order : null;
+  }
+}
+
+export default RouteOptimizer;
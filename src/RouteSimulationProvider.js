@@ -0,0 +1,283 @@
+/**
+ * RouteSimulationProvider - Location provider that drives along a route
+ *
+ * Implements the same `start(onLocation)` interface as BrowserLocationProvider,
+ * so it can be passed as `locationProvider` to `startNavigation`, NavController
+ * or TrackingClient. Several consumers can subscribe to one provider and receive
+ * the same fixes. Positions can be perturbed with GPS-like noise from a seeded
+ * random generator, so a run with the same seed always produces the same fixes.
+ *
+ * @example
+ * const provider = new RouteSimulationProvider(route, { speedKmh: 40, noiseMeters: 5, seed: 42 });
+ * await gebetaMap.startNavigation({ route, userId: 'DR_1', locationProvider: provider });
+ * provider.setTimeScale(4); // 4x faster
+ * provider.pause();
+ * provider.seek(provider.totalDistance / 2);
+ * provider.resume();
+ *
+ * @example
+ * // Drive the simulation by hand, without timers (e.g. in tests)
+ * const provider = new RouteSimulationProvider(route, { autoAdvance: false, startTime: 0 });
+ * navController.start(route, { locationProvider: provider });
+ * provider.advance(10); // 10 simulated seconds
+ */
+
+import { haversine, bearing, interpolate, offsetMeters, pointToLngLat } from './geo.js';
+
+// Small, fast seeded generator (mulberry32); returns numbers in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class RouteSimulationProvider {
+  /**
+   * Create a simulation along a route
+   * @param {Object|Array} route - Route with geometry.coordinates, or an array of [lng, lat] pairs
+   * @param {Object} options - Configuration options
+   * @param {number} options.speedKmh - Travel speed in km/h (default: 30)
+   * @param {number} options.intervalMs - Real time between fixes in milliseconds (default: 1000)
+   * @param {number} options.timeScale - Simulated seconds per real second (default: 1)
+   * @param {number} options.noiseMeters - Standard deviation of the position noise in meters (default: 0)
+   * @param {number} options.accuracy - Reported fix accuracy in meters (default: twice the noise, at least 5)
+   * @param {number} options.seed - Seed for the noise generator (default: random)
+   * @param {number} options.startTime - Timestamp of the first fix in milliseconds (default: Date.now() at start)
+   * @param {number} options.startDistance - Meters along the route to start from (default: 0)
+   * @param {boolean} options.loop - Start over at the end of the route (default: false)
+   * @param {boolean} options.autoAdvance - Advance on a timer; false to drive it with advance() (default: true)
+   * @param {Function} options.onComplete - Called once the end of the route is reached
+   */
+  constructor(route, options = {}) {
+    const coordinates = Array.isArray(route) ? route : route?.geometry?.coordinates;
+    if (!Array.isArray(coordinates) || coordinates.length < 2) {
+      throw new Error('RouteSimulationProvider requires a route with at least two coordinates');
+    }
+
+    this.options = {
+      speedKmh: 30,
+      intervalMs: 1000,
+      timeScale: 1,
+      noiseMeters: 0,
+      accuracy: null,
+      seed: null,
+      startTime: null,
+      startDistance: 0,
+      loop: false,
+      autoAdvance: true,
+      onComplete: null,
+      ...options,
+    };
+
+    this.coordinates = coordinates;
+    this._cumulative = [0];
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      this._cumulative.push(this._cumulative[i] + haversine(pointToLngLat(coordinates[i]), pointToLngLat(coordinates[i + 1])));
+    }
+    this.totalDistance = this._cumulative[this._cumulative.length - 1];
+
+    const seed = this.options.seed ?? Math.floor(Math.random() * 4294967296);
+    this._random = createRandom(seed);
+    this._spareGaussian = null;
+
+    this.distance = this._clampDistance(this.options.startDistance);
+    this.finished = false;
+    this.lastKnownLocation = null;
+    this._clock = null;
+    this._timer = null;
+    this._paused = false;
+    this._subscribers = [];
+  }
+
+  /**
+   * Start receiving simulated fixes. The simulation runs while at least one subscriber is attached.
+   * @param {Function} onLocation - Called with {lat, lng, speed, bearing, accuracy, timestamp}
+   * @returns {Function} - Unsubscribes this callback
+   */
+  start(onLocation) {
+    if (typeof onLocation === 'function' && !this._subscribers.includes(onLocation)) {
+      this._subscribers.push(onLocation);
+    }
+
+    if (this._clock === null) {
+      this._clock = this.options.startTime ?? Date.now();
+    }
+
+    if (this.lastKnownLocation) {
+      // Late subscribers get the current position right away
+      this._deliver(this.lastKnownLocation, [onLocation]);
+    } else {
+      this._emit();
+    }
+    this._startTimer();
+
+    return () => {
+      this._subscribers = this._subscribers.filter((subscriber) => subscriber !== onLocation);
+      if (this._subscribers.length === 0) this._stopTimer();
+    };
+  }
+
+  /**
+   * Stop the simulation and detach every subscriber. The position is kept.
+   */
+  stop() {
+    this._stopTimer();
+    this._subscribers = [];
+  }
+
+  pause() {
+    this._paused = true;
+    this._stopTimer();
+  }
+
+  resume() {
+    if (!this._paused) return;
+    this._paused = false;
+    this._startTimer();
+  }
+
+  isPaused() {
+    return this._paused;
+  }
+
+  /**
+   * Jump to a position along the route and emit a fix there
+   * @param {number} distanceMeters - Meters from the start of the route
+   */
+  seek(distanceMeters) {
+    this.distance = this._clampDistance(distanceMeters);
+    this.finished = false;
+    if (this._clock !== null) this._emit();
+    this._startTimer();
+  }
+
+  /**
+   * @param {number} speedKmh - Travel speed in km/h; 0 keeps emitting fixes at a standstill
+   */
+  setSpeed(speedKmh) {
+    this.options.speedKmh = Math.max(Number(speedKmh) || 0, 0);
+  }
+
+  /**
+   * @param {number} timeScale - Simulated seconds per real second, e.g. 4 for 4x speed
+   */
+  setTimeScale(timeScale) {
+    const value = Number(timeScale);
+    if (!(value > 0)) throw new Error('timeScale must be a positive number');
+    this.options.timeScale = value;
+  }
+
+  /**
+   * Advance the simulation and emit a fix
+   * @param {number} seconds - Simulated seconds to advance
+   * @returns {Object|null} - The emitted location, or null once the route is finished
+   */
+  advance(seconds) {
+    if (this.finished) return null;
+    if (this._clock === null) this._clock = this.options.startTime ?? Date.now();
+
+    this._clock += seconds * 1000;
+    this.distance += (this.options.speedKmh / 3.6) * seconds;
+
+    if (this.distance >= this.totalDistance) {
+      if (this.options.loop) {
+        this.distance %= this.totalDistance;
+      } else {
+        this.distance = this.totalDistance;
+        this.finished = true;
+      }
+    }
+
+    const location = this._emit();
+    if (this.finished) {
+      this._stopTimer();
+      if (typeof this.options.onComplete === 'function') this.options.onComplete(location);
+    }
+    return location;
+  }
+
+  _startTimer() {
+    if (!this.options.autoAdvance || this._timer !== null || this._paused || this.finished) return;
+    if (this._subscribers.length === 0) return;
+    this._timer = setInterval(() => {
+      this.advance((this.options.intervalMs * this.options.timeScale) / 1000);
+    }, this.options.intervalMs);
+  }
+
+  _stopTimer() {
+    if (this._timer !== null) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  _emit() {
+    const location = this._locationAt(this.distance);
+    this.lastKnownLocation = location;
+    this._deliver(location, this._subscribers);
+    return location;
+  }
+
+  _deliver(location, subscribers) {
+    subscribers.forEach((subscriber) => {
+      try {
+        subscriber(location);
+      } catch (err) {
+        console.error('Error in location callback:', err);
+      }
+    });
+  }
+
+  _locationAt(distance) {
+    // Segment containing the distance (cumulative distances are sorted)
+    let low = 0;
+    let high = this._cumulative.length - 2;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this._cumulative[mid] <= distance) low = mid;
+      else high = mid - 1;
+    }
+    const a = pointToLngLat(this.coordinates[low]);
+    const b = pointToLngLat(this.coordinates[low + 1]);
+    const length = this._cumulative[low + 1] - this._cumulative[low];
+    const t = length > 0 ? Math.min((distance - this._cumulative[low]) / length, 1) : 0;
+
+    const { noiseMeters } = this.options;
+    let point = interpolate(a, b, t);
+    if (noiseMeters > 0) {
+      point = offsetMeters(point, this._gaussian() * noiseMeters, this._gaussian() * noiseMeters);
+    }
+
+    return {
+      lat: point.lat,
+      lng: point.lng,
+      speed: this.finished ? 0 : this.options.speedKmh / 3.6, // m/s
+      bearing: bearing(a, b),
+      accuracy: this.options.accuracy ?? Math.max(5, noiseMeters * 2),
+      timestamp: this._clock,
+    };
+  }
+
+  // Standard normal sample (Box-Muller), two per pair of uniforms
+  _gaussian() {
+    if (this._spareGaussian !== null) {
+      const spare = this._spareGaussian;
+      this._spareGaussian = null;
+      return spare;
+    }
+    const u = Math.max(this._random(), Number.EPSILON);
+    const v = this._random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    this._spareGaussian = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  }
+
+  _clampDistance(distance) {
+    return Math.min(Math.max(Number(distance) || 0, 0), this.totalDistance);
+  }
+}
@@ -0,0 +1,452 @@
+/**
+ * GPS trace recording and replay.
+ *
+ * TraceRecorder collects timestamped fixes from a location provider, a
+ * TrackingClient (`local_location`) or a NavController (`progress`) and exports
+ * them as JSON, GeoJSON or GPX. TraceReplayProvider feeds a recorded trace back
+ * through the `start(onLocation)` provider interface, so a driver's exact trace
+ * can be replayed against the same route.
+ *
+ * @example
+ * const recorder = new TraceRecorder({ route });
+ * const provider = recorder.wrap(new BrowserLocationProvider());
+ * await gebetaMap.startNavigation({ route, userId, locationProvider: provider });
+ * const json = recorder.export('json');
+ *
+ * @example
+ * const replay = new TraceReplayProvider(json, { rate: 4 });
+ * const { route } = parseTrace(json);
+ * await gebetaMap.startNavigation({ route, userId, locationProvider: replay });
+ */
+
+import { escapeXml, parseXml } from './routeFormats.js';
+
+export const TRACE_FORMATS = ['json', 'geojson', 'gpx'];
+
+function assertFormat(format) {
+  if (!TRACE_FORMATS.includes(format)) {
+    throw new Error(`Invalid trace format "${format}". Expected one of: ${TRACE_FORMATS.join(', ')}`);
+  }
+}
+
+const toNumber = (value) => (value === null || value === undefined || value === '' || isNaN(value) ? null : Number(value));
+
+// Recorded fields of a fix; anything else on the location is dropped
+function normalizeFix(location) {
+  const lat = toNumber(location?.lat);
+  const lng = toNumber(location?.lng);
+  if (lat === null || lng === null) return null;
+  return {
+    lat,
+    lng,
+    timestamp: toNumber(location.timestamp) ?? Date.now(),
+    speed: toNumber(location.speed),
+    bearing: toNumber(location.bearing),
+    accuracy: toNumber(location.accuracy),
+  };
+}
+
+export class TraceRecorder {
+  /**
+   * Create a recorder
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxFixes - Fixes kept before the oldest are dropped (default: 20000)
+   * @param {Object} options.metadata - Extra data stored with exports (e.g. {userId, device})
+   * @param {Object} options.route - Route the trace was driven against
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxFixes: 20000,
+      metadata: {},
+      route: null,
+      ...options,
+    };
+    this.fixes = [];
+    this.route = this.options.route;
+    this.metadata = { ...this.options.metadata };
+  }
+
+  /**
+   * Record a fix
+   * @param {Object} location - {lat, lng, timestamp?, speed?, bearing?, accuracy?}
+   * @returns {Object|null} - The recorded fix, or null for an invalid location
+   */
+  record(location) {
+    const fix = normalizeFix(location);
+    if (!fix) return null;
+    this.fixes.push(fix);
+    if (this.fixes.length > this.options.maxFixes) {
+      this.fixes.splice(0, this.fixes.length - this.options.maxFixes);
+    }
+    return fix;
+  }
+
+  /**
+   * Wrap a location provider so every fix it delivers is recorded. Navigation starts the
+   * same provider for tracking and for guidance, so the wrapped provider is started only
+   * once and each fix is recorded once, whatever the number of subscribers.
+   * Do not also attach() the NavController or tracking client fed by it.
+   * @param {Object} provider - Provider with start(onLocation) -> stop
+   * @returns {Object} - Provider to pass on instead of the original
+   */
+  wrap(provider) {
+    let subscribers = [];
+    let stopProvider = null;
+
+    const stop = () => {
+      if (stopProvider) {
+        stopProvider();
+        stopProvider = null;
+      }
+      subscribers = [];
+    };
+
+    return {
+      start: (onLocation) => {
+        if (typeof onLocation === 'function' && !subscribers.includes(onLocation)) {
+          subscribers.push(onLocation);
+        }
+        if (!stopProvider) {
+          const maybeStop = provider.start((location) => {
+            this.record(location);
+            subscribers.forEach((subscriber) => {
+              try {
+                subscriber(location);
+              } catch (err) {
+                console.error('Error in location callback:', err);
+              }
+            });
+          });
+          stopProvider = typeof maybeStop === 'function' ? maybeStop : () => provider.stop?.();
+        }
+        return () => {
+          subscribers = subscribers.filter((subscriber) => subscriber !== onLocation);
+          if (subscribers.length === 0) stop();
+        };
+      },
+      stop,
+      get lastKnownLocation() {
+        return provider.lastKnownLocation ?? provider.lastLocation ?? null;
+      },
+    };
+  }
+
+  /**
+   * Record the fixes of a TrackingClient (`local_location`) or NavController (`progress`).
+   * For a NavController the route being navigated is kept as well.
+   * @param {Object} source - TrackingClient, HttpTrackingClient or NavController
+   * @returns {Function} - Stops recording from the source
+   */
+  attach(source) {
+    if (!source || typeof source.on !== 'function') {
+      throw new Error('TraceRecorder.attach requires a TrackingClient or NavController');
+    }
+    if (source.route) this.route = source.route;
+
+    const unsubscribers = [
+      source.on('local_location', (location) => this.record(location)),
+      source.on('progress', (data) => this.record(data?.location)),
+      // Keep the route the fixes are matched against; a reroute replaces it
+      source.on('start', (data) => { if (data?.route) this.route = data.route; }),
+      source.on('reroutecomplete', (data) => { if (data?.route) this.route = data.route; }),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => typeof unsubscribe === 'function' && unsubscribe());
+  }
+
+  /**
+   * Parse a serialized trace; same as `parseTrace`
+   * @param {string|Object} text - Serialized trace
+   * @param {string} format - 'json' (default), 'geojson' or 'gpx'
+   * @returns {Object} - {fixes, route, metadata}
+   */
+  static parse(text, format = 'json') {
+    return parseTrace(text, format);
+  }
+
+  clear() {
+    this.fixes = [];
+  }
+
+  size() {
+    return this.fixes.length;
+  }
+
+  /**
+   * Export the trace
+   * @param {string} format - 'json' (default, includes the route), 'geojson' or 'gpx'
+   * @returns {string}
+   */
+  export(format = 'json') {
+    assertFormat(format);
+    if (format === 'geojson') return toGeoJSON(this.fixes, this.metadata);
+    if (format === 'gpx') return toGpx(this.fixes, this.metadata);
+    return JSON.stringify({
+      type: 'gebeta-trace',
+      version: 1,
+      metadata: this.metadata,
+      route: this.route,
+      fixes: this.fixes,
+    });
+  }
+}
+
+function toGeoJSON(fixes, metadata) {
+  const features = fixes.map((fix) => ({
+    type: 'Feature',
+    properties: {
+      timestamp: fix.timestamp,
+      time: new Date(fix.timestamp).toISOString(),
+      speed: fix.speed,
+      bearing: fix.bearing,
+      accuracy: fix.accuracy,
+    },
+    geometry: { type: 'Point', coordinates: [fix.lng, fix.lat] },
+  }));
+  if (fixes.length > 1) {
+    features.unshift({
+      type: 'Feature',
+      properties: { ...metadata, coordTimes: fixes.map((fix) => new Date(fix.timestamp).toISOString()) },
+      geometry: { type: 'LineString', coordinates: fixes.map((fix) => [fix.lng, fix.lat]) },
+    });
+  }
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function toGpx(fixes, metadata) {
+  const extension = (name, value) => (value === null ? null : `<${name}>${value}</${name}>`);
+  const trackPoints = fixes.map((fix) => {
+    const extensions = [
+      extension('speed', fix.speed),
+      extension('course', fix.bearing),
+      extension('accuracy', fix.accuracy),
+    ].filter(Boolean).join('');
+    return [
+      `      <trkpt lat="${fix.lat}" lon="${fix.lng}">`,
+      `        <time>${new Date(fix.timestamp).toISOString()}</time>`,
+      extensions ? `        <extensions>${extensions}</extensions>` : null,
+      '      </trkpt>',
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Gebeta Maps" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(metadata.name || 'Trace')}</name></metadata>`,
+    '  <trk>',
+    `    <name>${escapeXml(metadata.name || 'Trace')}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+  ].join('\n');
+}
+
+function fromGeoJSON(data) {
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+  const points = features.filter((f) => f.geometry?.type === 'Point');
+  if (points.length > 0) {
+    return points.map((f) => ({ ...f.properties, lng: f.geometry.coordinates[0], lat: f.geometry.coordinates[1] }));
+  }
+  // A bare LineString with per-coordinate times, as written by most GPS tools
+  const line = features.find((f) => f.geometry?.type === 'LineString');
+  if (!line) throw new Error('GeoJSON trace must contain Point or LineString features');
+  const times = line.properties?.coordTimes || [];
+  return line.geometry.coordinates.map((coord, i) => ({
+    lng: coord[0],
+    lat: coord[1],
+    timestamp: times[i] ? Date.parse(times[i]) : null,
+  }));
+}
+
+function fromGpx(text) {
+  const doc = parseXml(text);
+  const childText = (element, tagName) => {
+    const child = element.getElementsByTagName(tagName)[0];
+    return child ? child.textContent.trim() : null;
+  };
+  return Array.from(doc.getElementsByTagName('trkpt')).map((pt) => {
+    const time = childText(pt, 'time');
+    return {
+      lat: pt.getAttribute('lat'),
+      lng: pt.getAttribute('lon'),
+      timestamp: time ? Date.parse(time) : null,
+      speed: childText(pt, 'speed'),
+      bearing: childText(pt, 'course'),
+      accuracy: childText(pt, 'accuracy'),
+    };
+  });
+}
+
+/**
+ * Parse a trace exported by TraceRecorder (or a GeoJSON/GPX track from another tool)
+ * @param {string|Object} text - Serialized trace (a parsed JSON object is also accepted)
+ * @param {string} format - 'json' (default), 'geojson' or 'gpx'
+ * @returns {Object} - {fixes, route, metadata}; route is null unless the JSON export carried one
+ */
+export function parseTrace(text, format = 'json') {
+  assertFormat(format);
+  let fixes;
+  let route = null;
+  let metadata = {};
+
+  if (format === 'gpx') {
+    fixes = fromGpx(text);
+  } else {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    if (format === 'geojson') {
+      fixes = fromGeoJSON(data);
+    } else {
+      fixes = Array.isArray(data) ? data : data.fixes;
+      route = data.route || null;
+      metadata = data.metadata || {};
+    }
+  }
+
+  if (!Array.isArray(fixes)) throw new Error('Trace must contain a list of fixes');
+  // Fixes without a time are spaced one second apart
+  let previous = null;
+  const normalized = fixes
+    .map((fix) => normalizeFix({ ...fix, timestamp: toNumber(fix.timestamp) ?? (previous !== null ? previous + 1000 : 0) }))
+    .filter((fix) => {
+      if (fix) previous = fix.timestamp;
+      return !!fix;
+    });
+  return { fixes: normalized, route, metadata };
+}
+
+export class TraceReplayProvider {
+  /**
+   * Create a replay of a recorded trace
+   * @param {Array|Object|string} trace - Fixes, a parsed trace ({fixes}) or serialized trace text
+   * @param {Object} options - Configuration options
+   * @param {string} options.format - Format of the trace: 'json' (default), 'geojson' or 'gpx'
+   * @param {number} options.rate - Playback speed, e.g. 4 for 4x (default: 1)
+   * @param {boolean} options.rebaseTimestamps - Shift timestamps so the replay starts now (default: false)
+   * @param {boolean} options.autoAdvance - Play on timers; false to step with next() (default: true)
+   * @param {Function} options.onComplete - Called after the last fix
+   */
+  constructor(trace, options = {}) {
+    this.options = {
+      format: 'json',
+      rate: 1,
+      rebaseTimestamps: false,
+      autoAdvance: true,
+      onComplete: null,
+      ...options,
+    };
+    const { fixes } = parseTrace(trace, this.options.format);
+    if (fixes.length === 0) {
+      throw new Error('TraceReplayProvider requires at least one fix');
+    }
+    this.fixes = fixes;
+    this.index = 0; // Next fix to deliver
+    this.finished = false;
+    this.lastKnownLocation = null;
+    this._timer = null;
+    this._paused = false;
+    this._timeOffset = 0;
+    this._subscribers = [];
+  }
+
+  /**
+   * Start receiving replayed fixes. The replay runs while at least one subscriber is attached.
+   * @param {Function} onLocation - Called with each fix
+   * @returns {Function} - Unsubscribes this callback
+   */
+  start(onLocation) {
+    if (typeof onLocation === 'function' && !this._subscribers.includes(onLocation)) {
+      this._subscribers.push(onLocation);
+    }
+    if (this.lastKnownLocation) {
+      this._deliver(this.lastKnownLocation, [onLocation]);
+    } else {
+      if (this.options.rebaseTimestamps) this._timeOffset = Date.now() - this.fixes[0].timestamp;
+      this.next();
+    }
+    this._schedule();
+
+    return () => {
+      this._subscribers = this._subscribers.filter((subscriber) => subscriber !== onLocation);
+      if (this._subscribers.length === 0) this._clearTimer();
+    };
+  }
+
+  stop() {
+    this._clearTimer();
+    this._subscribers = [];
+  }
+
+  pause() {
+    this._paused = true;
+    this._clearTimer();
+  }
+
+  resume() {
+    if (!this._paused) return;
+    this._paused = false;
+    this._schedule();
+  }
+
+  isPaused() {
+    return this._paused;
+  }
+
+  /**
+   * @param {number} rate - Playback speed, e.g. 4 for 4x
+   */
+  setRate(rate) {
+    const value = Number(rate);
+    if (!(value > 0)) throw new Error('rate must be a positive number');
+    this.options.rate = value;
+  }
+
+  /**
+   * Deliver the next fix immediately
+   * @returns {Object|null} - The delivered fix, or null once the trace is finished
+   */
+  next() {
+    if (this.finished) return null;
+    const fix = this.fixes[this.index];
+    const location = { ...fix, timestamp: fix.timestamp + this._timeOffset };
+    this.index += 1;
+    this.lastKnownLocation = location;
+    this._deliver(location, this._subscribers);
+
+    if (this.index >= this.fixes.length) {
+      this.finished = true;
+      this._clearTimer();
+      if (typeof this.options.onComplete === 'function') this.options.onComplete(location);
+    }
+    return location;
+  }
+
+  _schedule() {
+    if (!this.options.autoAdvance || this._timer !== null || this._paused || this.finished) return;
+    if (this._subscribers.length === 0) return;
+    // Wait as long as the recording did between this fix and the previous one
+    const gap = this.fixes[this.index].timestamp - this.fixes[this.index - 1].timestamp;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.next();
+      this._schedule();
+    }, Math.max(gap, 0) / this.options.rate);
+  }
+
+  _clearTimer() {
+    if (this._timer !== null) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  _deliver(location, subscribers) {
+    subscribers.forEach((subscriber) => {
+      try {
+        subscriber(location);
+      } catch (err) {
+        console.error('Error in location callback:', err);
+      }
+    });
+  }
+}
@@ -55,6 +55,7 @@ export class BrowserLocationProvider {
           lng: pos.coords.longitude,
           speed: pos.coords.speed ?? null,
           bearing: pos.coords.heading ?? null,
+          accuracy: pos.coords.accuracy ?? null, // meters (95% confidence radius)
           timestamp: pos.timestamp,
         };
         this.lastLocation = loc;
@@ -361,6 +362,7 @@ class TrackingClient extends SimpleEmitter {
       lng: lng,
       speed: location.speed ?? null,
       bearing: location.bearing ?? null,
+      accuracy: location.accuracy ?? null,
       timestamp: timestamp,
     };
   }
@@ -600,6 +602,7 @@ class HttpTrackingClient extends SimpleEmitter {
       lng: lng,
       speed: location.speed ?? null,
       bearing: location.bearing ?? null,
+      accuracy: location.accuracy ?? null,
       timestamp: timestamp,
     };
   }
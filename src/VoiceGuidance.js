@@ -0,0 +1,260 @@
+/**
+ * VoiceGuidance - Spoken turn-by-turn announcements for a NavController
+ *
+ * Announces each upcoming maneuver once per distance threshold (for example
+ * "In 500 meters, turn right onto Bole Road", then again at 150 m) and once more
+ * when the maneuver is due. Speech goes through a provider, so the default
+ * browser `speechSynthesis` can be replaced (e.g. by a fake speaker in tests).
+ *
+ * @example
+ * const voice = new VoiceGuidance(navController, { thresholds: [500, 150] });
+ * voice.start();
+ * voice.setVolume(0.6);
+ * voice.mute();
+ *
+ * @example
+ * // Custom speech provider
+ * const spoken = [];
+ * const voice = new VoiceGuidance(navController, {
+ *   provider: { speak: (text) => spoken.push(text), cancel: () => {} }
+ * });
+ */
+
+import { t, getSpeechLang } from './i18n.js';
+import Formatter from './Formatter.js';
+
+/**
+ * Default speech provider backed by the Web Speech API
+ */
+export class SpeechSynthesisProvider {
+  constructor(options = {}) {
+    this.synth = options.speechSynthesis || (typeof window !== 'undefined' ? window.speechSynthesis : null);
+    this._warned = false;
+  }
+
+  isAvailable() {
+    return !!this.synth && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  /**
+   * Speak text
+   * @param {string} text - Text to speak
+   * @param {Object} options - {volume: 0-1, rate, lang}
+   */
+  speak(text, options = {}) {
+    if (!this.isAvailable()) {
+      if (!this._warned) {
+        console.warn('[VoiceGuidance] speechSynthesis is not available in this environment');
+        this._warned = true;
+      }
+      return;
+    }
+    const utterance = new SpeechSynthesisUtterance(text);
+    if (options.volume !== undefined) utterance.volume = options.volume;
+    if (options.rate !== undefined) utterance.rate = options.rate;
+    if (options.lang) utterance.lang = options.lang;
+    this.synth.speak(utterance);
+  }
+
+  cancel() {
+    if (this.isAvailable()) this.synth.cancel();
+  }
+}
+
+export class VoiceGuidance {
+  /**
+   * Create a VoiceGuidance instance
+   * @param {Object} navController - NavController instance
+   * @param {Object} options - Configuration options
+   * @param {Array<number>} options.thresholds - Distances (meters) to announce the upcoming maneuver at (default: [500, 150])
+   * @param {number} options.nowDistance - Distance (meters) at which the maneuver itself is announced (default: 30)
+   * @param {Object} options.provider - Speech provider with speak(text, {volume, rate, lang}) and cancel()
+   * @param {number} options.volume - Volume 0-1 (default: 1)
+   * @param {boolean} options.muted - Start muted (default: false)
+   * @param {number} options.rate - Speech rate (default: 1)
+   * @param {string} options.language - Language of the announcement phrasing (default: the controller's language, else 'en')
+   * @param {string} options.units - 'metric' or 'imperial' for spoken distances (default: the controller's units, else 'metric')
+   * @param {string} options.lang - Speech language tag, e.g. 'am-ET' (default: derived from `language`)
+   * @param {boolean} options.announceStart - Speak the first instruction when navigation starts (default: true)
+   * @param {Function} options.onAnnounce - Called with {text, step, stepIndex, threshold} for every announcement
+   */
+  constructor(navController, options = {}) {
+    this.nav = navController;
+    this.options = {
+      thresholds: [500, 150],
+      nowDistance: 30,
+      provider: null,
+      volume: 1,
+      muted: false,
+      rate: 1,
+      language: null,
+      units: null,
+      lang: null,
+      announceStart: true,
+      onAnnounce: null,
+      ...options,
+    };
+    this.provider = this.options.provider || new SpeechSynthesisProvider();
+    this._volume = this._clampVolume(this.options.volume);
+    this._muted = !!this.options.muted;
+    this._announced = new Set();
+    this._lastStep = null;
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Subscribe to the navigation controller
+   */
+  start() {
+    if (!this.nav || this._unsubscribers.length > 0) return;
+
+    this._unsubscribers = [
+      this.nav.on('start', ({ route }) => {
+        this._announced.clear();
+        this._lastStep = null;
+        const firstStep = route?.instructions?.[0];
+        if (this.options.announceStart && firstStep) {
+          this._announce(this._stepKey(firstStep, 0), 'start', firstStep.verbal_pre_transition_instruction || firstStep.instruction, firstStep, 0);
+        }
+      }),
+      // A new route brings new steps; previous announcements no longer apply
+      this.nav.on('reroutecomplete', () => {
+        this._announced.clear();
+        this._lastStep = null;
+      }),
+      this.nav.on('progress', (data) => this._handleProgress(data)),
+      this.nav.on('stop', () => this.provider.cancel?.()),
+    ];
+  }
+
+  /**
+   * Unsubscribe from the navigation controller and stop speaking
+   */
+  stop() {
+    this._unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this._unsubscribers = [];
+    this._announced.clear();
+    this.provider.cancel?.();
+  }
+
+  mute() {
+    this.setMuted(true);
+  }
+
+  unmute() {
+    this.setMuted(false);
+  }
+
+  setMuted(muted) {
+    this._muted = !!muted;
+    if (this._muted) this.provider.cancel?.();
+  }
+
+  isMuted() {
+    return this._muted;
+  }
+
+  setVolume(volume) {
+    this._volume = this._clampVolume(volume);
+  }
+
+  getVolume() {
+    return this._volume;
+  }
+
+  _language() {
+    return this.options.language || this.nav?.options?.language || 'en';
+  }
+
+  _clampVolume(volume) {
+    const value = Number(volume);
+    return isNaN(value) ? 1 : Math.min(Math.max(value, 0), 1);
+  }
+
+  _stepKey(step, stepIndex) {
+    return step?.index ?? stepIndex;
+  }
+
+  _handleProgress(data) {
+    const step = data?.currentStep;
+    const distance = data?.distanceToNextStep;
+    if (!step || distance === null || distance === undefined) return;
+
+    // Start maneuvers were announced when navigation started
+    if (step.type >= 1 && step.type <= 3) return;
+
+    const key = this._stepKey(step, this.nav?._stepIndex);
+
+    // Once a maneuver is done, say how long to follow the new road ("Continue for 2 kilometers"),
+    // unless the next maneuver is already close enough to be announced
+    const previous = this._lastStep;
+    this._lastStep = step;
+    if (previous && previous !== step && distance > Math.max(...this.options.thresholds, this.options.nowDistance)) {
+      const previousKey = this._stepKey(previous, key - 1);
+      this._announce(previousKey, 'post', previous.verbal_post_transition_instruction, previous, previousKey);
+    }
+
+    if (distance <= this.options.nowDistance) {
+      this._announce(key, 'now', step.verbal_pre_transition_instruction || step.instruction, step, key);
+      return;
+    }
+
+    // Only the closest threshold that has been reached is spoken; larger ones are
+    // skipped so a step that begins 200 m before the turn does not say "In 500 meters"
+    const reached = [...this.options.thresholds]
+      .sort((a, b) => a - b)
+      .filter((threshold) => distance <= threshold);
+    if (reached.length === 0) return;
+
+    const [threshold, ...larger] = reached;
+    larger.forEach((t) => this._announced.add(`${key}:${t}`));
+
+    // Arrival texts ("You have arrived") only make sense as the final announcement
+    const isDestination = step.type >= 4 && step.type <= 6;
+    const maneuver = step.verbal_transition_alert_instruction
+      || (isDestination ? null : step.verbal_pre_transition_instruction || step.instruction);
+    if (!maneuver) return;
+    const text = t(this._language(), 'voice.inDistance', {
+      distance: this._formatDistance(distance),
+      instruction: this._lowerFirst(maneuver),
+    });
+    this._announce(key, threshold, text, step, key);
+  }
+
+  _announce(key, threshold, text, step, stepIndex) {
+    const id = `${key}:${threshold}`;
+    if (!text || this._announced.has(id)) return;
+    // Muted announcements still count as played, so unmuting does not replay stale ones
+    this._announced.add(id);
+
+    if (typeof this.options.onAnnounce === 'function') {
+      try {
+        this.options.onAnnounce({ text, step, stepIndex, threshold });
+      } catch (err) {
+        console.error(err);
+      }
+    }
+
+    if (this._muted) return;
+    this.provider.speak(text, {
+      volume: this._volume,
+      rate: this.options.rate,
+      lang: this.options.lang || getSpeechLang(this._language()),
+    });
+  }
+
+  /**
+   * Format a distance for speech
+   * Can be overridden to customize spoken distances
+   * @param {number} meters - Distance in meters
+   * @returns {string}
+   */
+  _formatDistance(meters) {
+    const units = this.options.units || this.nav?.options?.units || 'metric';
+    return new Formatter({ language: this._language(), units }).spokenDistance(meters);
+  }
+
+  _lowerFirst(text) {
+    return text.charAt(0).toLowerCase() + text.slice(1);
+  }
+}
@@ -0,0 +1,100 @@
+// Geodesic helpers shared by navigation, matrix estimation and route tools.
+// Points are {lat, lng} objects unless noted; line coordinates are [lng, lat].
+
+export const EARTH_RADIUS_M = 6371000;
+
+export function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+export function haversine(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lng - a.lng);
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+export function bearing(from, to) {
+  const y = Math.sin(toRad(to.lng - from.lng)) * Math.cos(toRad(to.lat));
+  const x =
+    Math.cos(toRad(from.lat)) * Math.sin(toRad(to.lat)) -
+    Math.sin(toRad(from.lat)) *
+      Math.cos(toRad(to.lat)) *
+      Math.cos(toRad(to.lng - from.lng));
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+// Smallest angle between two bearings, 0-180 degrees
+export function angleDifference(a, b) {
+  const diff = Math.abs((((a - b) % 360) + 360) % 360);
+  return diff > 180 ? 360 - diff : diff;
+}
+
+export function interpolate(a, b, t) {
+  return {
+    lng: a.lng + (b.lng - a.lng) * t,
+    lat: a.lat + (b.lat - a.lat) * t,
+  };
+}
+
+// Travel time in seconds for a distance at an average speed; null when the speed is not positive
+export function estimateDuration(distanceMeters, avgSpeedKmh = 30) {
+  if (avgSpeedKmh <= 0) return null;
+  return Math.round((distanceMeters / 1000 / avgSpeedKmh) * 3600);
+}
+
+// Move a point by a local east/north offset in meters (flat-earth approximation for short distances)
+export function offsetMeters(point, eastMeters, northMeters) {
+  const dLat = northMeters / EARTH_RADIUS_M;
+  const dLng = eastMeters / (EARTH_RADIUS_M * Math.cos(toRad(point.lat)));
+  return {
+    lng: point.lng + (dLng * 180) / Math.PI,
+    lat: point.lat + (dLat * 180) / Math.PI,
+  };
+}
+
+export function pointToLngLat(pt) {
+  return { lng: pt[0], lat: pt[1] };
+}
+
+export function lngLatToArr(ll) {
+  return [ll.lng, ll.lat];
+}
+
+export function nearestPointOnSegment(p, a, b) {
+  const ax = a.lng;
+  const ay = a.lat;
+  const bx = b.lng;
+  const by = b.lat;
+  const px = p.lng;
+  const py = p.lat;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  if (len2 === 0) return { t: 0, point: { lng: ax, lat: ay } };
+  let t = ((px - ax) * dx + (py - ay) * dy) / len2;
+  t = Math.max(0, Math.min(1, t));
+  return { t, point: interpolate(a, b, t) };
+}
+
+export function nearestOnLine(point, line) {
+  let best = { distance: Infinity, point: line[0], index: 0, t: 0, along: 0 };
+  let traveled = 0;
+  for (let i = 0; i < line.length - 1; i++) {
+    const a = pointToLngLat(line[i]);
+    const b = pointToLngLat(line[i + 1]);
+    const proj = nearestPointOnSegment(point, a, b);
+    const segLen = haversine(a, b);
+    const projDist = haversine(point, proj.point);
+    const along = traveled + segLen * proj.t;
+    if (projDist < best.distance) {
+      best = { distance: projDist, point: proj.point, index: i, t: proj.t, along };
+    }
+    traveled += segLen;
+  }
+  return best;
+}
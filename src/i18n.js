@@ -0,0 +1,303 @@
+/**
+ * Message catalogs and locale-aware formatting.
+ *
+ * Functions take the locale explicitly, so every component formats with its own
+ * `language` option. Unknown keys fall back to the base language ('am-ET' → 'am'),
+ * then to English, then to the key itself.
+ *
+ * @example
+ * import { registerLocale, t, formatDuration } from './i18n.js';
+ * registerLocale('ti', { 'nav.continue': 'ብቐጥታ ቀጽል' }, { numberLocale: 'ti-ET', speechLang: 'ti-ET' });
+ * t('am', 'nav.continue');            // 'ቀጥታ ይቀጥሉ'
+ * formatDuration('am', 5400);         // '1 ሰዓት 30 ደቂቃ'
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+const locales = {
+  en: {
+    numberLocale: 'en-US',
+    speechLang: 'en-US',
+    messages: {
+      'nav.ready': 'Ready',
+      'nav.continue': 'Continue',
+      'nav.continueAhead': 'Continue ahead',
+      'nav.continueWalking': 'Continue walking',
+      'nav.distance': 'Distance',
+      'nav.time': 'Time',
+      'nav.exit': 'Exit {exit}',
+      'nav.toward': 'toward {toward}',
+      'nav.recenter': 'Recenter',
+      'nav.speedLimit': 'Speed limit',
+      'walk.start': 'Start walking',
+      'walk.startOn': 'Start walking on {street}',
+      'walk.continueOn': 'Keep walking on {street}',
+      'walk.slightRight': 'Bear right',
+      'walk.right': 'Turn right',
+      'walk.sharpRight': 'Turn sharp right',
+      'walk.uturn': 'Turn around',
+      'walk.sharpLeft': 'Turn sharp left',
+      'walk.left': 'Turn left',
+      'walk.slightLeft': 'Bear left',
+      'walk.along': '{instruction} and walk along {street}',
+      'walk.arrive': 'You have arrived',
+      'walk.arriveRight': 'Your destination is on the right',
+      'walk.arriveLeft': 'Your destination is on the left',
+      'walk.elevator': 'Take the elevator',
+      'walk.stairs': 'Take the stairs',
+      'walk.escalator': 'Take the escalator',
+      'walk.enterBuilding': 'Enter the building',
+      'walk.exitBuilding': 'Exit the building',
+      'distance.m': '{value} m',
+      'distance.km': '{value} km',
+      'distance.ft': '{value} ft',
+      'distance.mi': '{value} mi',
+      'speed.kmh': '{value} km/h',
+      'speed.mph': '{value} mph',
+      'duration.minutes': '{minutes} min',
+      'duration.hours': '{hours}h',
+      'duration.hoursMinutes': '{hours}h {minutes}m',
+      'voice.inDistance': 'In {distance}, {instruction}',
+      'voice.meters': '{value} meters',
+      'voice.kilometers': '{value} kilometers',
+      'voice.feet': '{value} feet',
+      'voice.miles': '{value} miles',
+      'style.select': 'Select map style',
+      'style.current': 'Current style: {label}. Click to change.',
+      'style.standard': 'Standard',
+      'style.satellite': 'Satellite',
+      'style.terrain': 'Terrain',
+    },
+  },
+  am: {
+    numberLocale: 'am-ET',
+    speechLang: 'am-ET',
+    messages: {
+      'nav.ready': 'ዝግጁ',
+      'nav.continue': 'ይቀጥሉ',
+      'nav.continueAhead': 'ቀጥታ ይቀጥሉ',
+      'nav.continueWalking': 'በእግር ይቀጥሉ',
+      'nav.distance': 'ርቀት',
+      'nav.time': 'ጊዜ',
+      'nav.exit': 'መውጫ {exit}',
+      'nav.toward': 'ወደ {toward}',
+      'nav.recenter': 'ወደ ቦታዬ ተመለስ',
+      'nav.speedLimit': 'የፍጥነት ገደብ',
+      'walk.start': 'በእግር መጓዝ ይጀምሩ',
+      'walk.startOn': 'በ{street} በእግር መጓዝ ይጀምሩ',
+      'walk.continueOn': 'በ{street} በእግር ይቀጥሉ',
+      'walk.slightRight': 'ትንሽ ወደ ቀኝ ይታጠፉ',
+      'walk.right': 'ወደ ቀኝ ይታጠፉ',
+      'walk.sharpRight': 'ሙሉ በሙሉ ወደ ቀኝ ይታጠፉ',
+      'walk.uturn': 'ወደኋላ ይመለሱ',
+      'walk.sharpLeft': 'ሙሉ በሙሉ ወደ ግራ ይታጠፉ',
+      'walk.left': 'ወደ ግራ ይታጠፉ',
+      'walk.slightLeft': 'ትንሽ ወደ ግራ ይታጠፉ',
+      'walk.along': '{instruction}፣ በ{street} በእግር ይቀጥሉ',
+      'walk.arrive': 'ደርሰዋል',
+      'walk.arriveRight': 'መድረሻዎ በቀኝ በኩል ነው',
+      'walk.arriveLeft': 'መድረሻዎ በግራ በኩል ነው',
+      'walk.elevator': 'አሳንሰሩን ይጠቀሙ',
+      'walk.stairs': 'ደረጃውን ይጠቀሙ',
+      'walk.escalator': 'ተንቀሳቃሽ ደረጃውን ይጠቀሙ',
+      'walk.enterBuilding': 'ወደ ሕንጻው ይግቡ',
+      'walk.exitBuilding': 'ከሕንጻው ይውጡ',
+      'distance.m': '{value} ሜ',
+      'distance.km': '{value} ኪ.ሜ',
+      'distance.ft': '{value} ጫማ',
+      'distance.mi': '{value} ማይል',
+      'speed.kmh': '{value} ኪ.ሜ/ሰዓት',
+      'speed.mph': '{value} ማይል/ሰዓት',
+      'duration.minutes': '{minutes} ደቂቃ',
+      'duration.hours': '{hours} ሰዓት',
+      'duration.hoursMinutes': '{hours} ሰዓት {minutes} ደቂቃ',
+      'voice.inDistance': 'ከ{distance} በኋላ፣ {instruction}',
+      'voice.meters': '{value} ሜትር',
+      'voice.kilometers': '{value} ኪሎ ሜትር',
+      'voice.feet': '{value} ጫማ',
+      'voice.miles': '{value} ማይል',
+      'style.select': 'የካርታ ዓይነት ይምረጡ',
+      'style.current': 'የአሁኑ ዓይነት፦ {label}። ለመቀየር ይጫኑ።',
+      'style.standard': 'መደበኛ',
+      'style.satellite': 'ሳተላይት',
+      'style.terrain': 'የመሬት አቀማመጥ',
+    },
+  },
+  om: {
+    numberLocale: 'om-ET',
+    speechLang: 'om-ET',
+    messages: {
+      'nav.ready': 'Qophaa\'aa',
+      'nav.continue': 'Itti fufi',
+      'nav.continueAhead': 'Kallattiin itti fufi',
+      'nav.continueWalking': 'Miillaan itti fufi',
+      'nav.distance': 'Fageenya',
+      'nav.time': 'Yeroo',
+      'nav.exit': 'Ba\'umsa {exit}',
+      'nav.toward': 'gara {toward}',
+      'nav.recenter': 'Bakka koo deebi\'i',
+      'nav.speedLimit': 'Daangaa saffisaa',
+      'walk.start': 'Miillaan deemuu jalqabi',
+      'walk.startOn': 'Karaa {street} irra miillaan deemuu jalqabi',
+      'walk.continueOn': 'Karaa {street} irra miillaan itti fufi',
+      'walk.slightRight': 'Xiqqoo gara mirgaatti goradhu',
+      'walk.right': 'Gara mirgaatti goradhu',
+      'walk.sharpRight': 'Guutummaatti gara mirgaatti goradhu',
+      'walk.uturn': 'Duubatti deebi\'i',
+      'walk.sharpLeft': 'Guutummaatti gara bitaatti goradhu',
+      'walk.left': 'Gara bitaatti goradhu',
+      'walk.slightLeft': 'Xiqqoo gara bitaatti goradhu',
+      'walk.along': '{instruction}, karaa {street} irra miillaan itti fufi',
+      'walk.arrive': 'Geessee jirta',
+      'walk.arriveRight': 'Bakki itti deemtu gara mirgaa jira',
+      'walk.arriveLeft': 'Bakki itti deemtu gara bitaa jira',
+      'walk.elevator': 'Asaansera fayyadami',
+      'walk.stairs': 'Gulantaa fayyadami',
+      'walk.escalator': 'Gulantaa sochoo\'u fayyadami',
+      'walk.enterBuilding': 'Gamoo seeni',
+      'walk.exitBuilding': 'Gamoo keessaa ba\'i',
+      'distance.m': '{value} m',
+      'distance.km': '{value} km',
+      'distance.ft': '{value} ft',
+      'distance.mi': '{value} mi',
+      'speed.kmh': '{value} km/h',
+      'speed.mph': '{value} mph',
+      'duration.minutes': '{minutes} daq',
+      'duration.hours': '{hours} sa\'a',
+      'duration.hoursMinutes': '{hours} sa\'a {minutes} daq',
+      'voice.inDistance': '{distance} booda, {instruction}',
+      'voice.meters': 'meetira {value}',
+      'voice.kilometers': 'kiloomeetira {value}',
+      'voice.feet': 'miila {value}',
+      'voice.miles': 'maayilii {value}',
+      'style.select': 'Akkaataa kaartaa filadhu',
+      'style.current': 'Akkaataa ammaa: {label}. Jijjiiruuf tuqi.',
+      'style.standard': 'Idilee',
+      'style.satellite': 'Saatalaayitii',
+      'style.terrain': 'Teessuma lafaa',
+    },
+  },
+};
+
+/**
+ * Register a locale, or add/override messages of an existing one
+ * @param {string} locale - Locale code, e.g. 'ti' or 'am-ET'
+ * @param {Object} messages - Message catalog ({key: template}); templates use {name} placeholders
+ * @param {Object} options - {numberLocale: BCP 47 tag for number formatting, speechLang: BCP 47 tag for speech}
+ */
+export function registerLocale(locale, messages = {}, options = {}) {
+  if (!locale || typeof locale !== 'string') {
+    throw new Error('A locale code is required');
+  }
+  const existing = locales[locale] || {};
+  locales[locale] = {
+    numberLocale: options.numberLocale || existing.numberLocale || locale,
+    speechLang: options.speechLang || existing.speechLang || options.numberLocale || locale,
+    messages: { ...(existing.messages || {}), ...messages },
+  };
+}
+
+/**
+ * @returns {Array<string>} - Registered locale codes
+ */
+export function getLocales() {
+  return Object.keys(locales);
+}
+
+// Locale entries to consult for a locale, most specific first
+function localeChain(locale) {
+  const chain = [];
+  if (locale && locales[locale]) chain.push(locales[locale]);
+  const base = locale ? locale.split('-')[0] : null;
+  if (base && base !== locale && locales[base]) chain.push(locales[base]);
+  if (locales[DEFAULT_LOCALE] && !chain.includes(locales[DEFAULT_LOCALE])) chain.push(locales[DEFAULT_LOCALE]);
+  return chain;
+}
+
+/**
+ * Translate a message
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key
+ * @param {Object} params - Values for the {name} placeholders
+ * @returns {string}
+ */
+export function t(locale, key, params = {}) {
+  const entry = localeChain(locale).find(candidate => candidate.messages[key] !== undefined);
+  const template = entry ? entry.messages[key] : key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * BCP 47 language tag to use for speech in a locale
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+export function getSpeechLang(locale) {
+  return localeChain(locale)[0]?.speechLang || locale;
+}
+
+/**
+ * Format a number for a locale
+ * @param {string} locale - Locale code
+ * @param {number} value - Number to format
+ * @param {Object} options - {fractionDigits} or any Intl.NumberFormat options
+ * @returns {string}
+ */
+export function formatNumber(locale, value, options = {}) {
+  const { fractionDigits, ...intlOptions } = options;
+  if (fractionDigits !== undefined) {
+    intlOptions.minimumFractionDigits = fractionDigits;
+    intlOptions.maximumFractionDigits = fractionDigits;
+  }
+  const numberLocale = localeChain(locale)[0]?.numberLocale || 'en-US';
+  try {
+    return new Intl.NumberFormat(numberLocale, { useGrouping: false, ...intlOptions }).format(value);
+  } catch (err) {
+    return fractionDigits !== undefined ? value.toFixed(fractionDigits) : String(value);
+  }
+}
+
+/**
+ * Format a clock time for a locale, e.g. '2:45 PM' or '14:45'
+ * @param {string} locale - Locale code
+ * @param {Date|number} time - Date or timestamp in milliseconds
+ * @returns {string}
+ */
+export function formatTime(locale, time) {
+  const date = time instanceof Date ? time : new Date(time);
+  const numberLocale = localeChain(locale)[0]?.numberLocale || 'en-US';
+  try {
+    return new Intl.DateTimeFormat(numberLocale, { hour: 'numeric', minute: '2-digit' }).format(date);
+  } catch (err) {
+    return `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+}
+
+/**
+ * Format a distance in kilometers, e.g. '12.34 km'
+ * @param {string} locale - Locale code
+ * @param {number} meters - Distance in meters
+ * @param {number} fractionDigits - Decimal places (default: 2)
+ * @returns {string}
+ */
+export function formatKilometers(locale, meters, fractionDigits = 2) {
+  return t(locale, 'distance.km', { value: formatNumber(locale, meters / 1000, { fractionDigits }) });
+}
+
+/**
+ * Format a duration, e.g. '25 min' or '1h 30m'
+ * @param {string} locale - Locale code
+ * @param {number} seconds - Duration in seconds
+ * @returns {string}
+ */
+export function formatDuration(locale, seconds) {
+  const totalMinutes = Math.round(seconds / 60);
+  if (totalMinutes < 60) {
+    return t(locale, 'duration.minutes', { minutes: formatNumber(locale, totalMinutes) });
+  }
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return minutes > 0
+    ? t(locale, 'duration.hoursMinutes', { hours: formatNumber(locale, hours), minutes: formatNumber(locale, minutes) })
+    : t(locale, 'duration.hours', { hours: formatNumber(locale, hours) });
+}
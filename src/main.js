@@ -1,10 +1,47 @@
 import GebetaMaps from './GebetaMaps.js'
 import { NavigationUI } from './NavigationUI.js'
+import { VoiceGuidance, SpeechSynthesisProvider } from './VoiceGuidance.js'
+import * as polyline from './polyline.js'
+import * as i18n from './i18n.js'
+import Formatter from './Formatter.js'
+import { BrowserLocationProvider } from './TrackingClient.js'
+import { RouteSimulationProvider } from './RouteSimulationProvider.js'
+import { TraceRecorder, TraceReplayProvider, parseTrace } from './TraceRecorder.js'
+import { FilteredLocationProvider, createAccuracyFilter, createSpeedFilter, createKalmanFilter, createMotionFilter } from './LocationFilter.js'
+import NavigationSessionStore, { MemoryStorage } from './NavigationSession.js'
 
-// Expose GebetaMaps and NavigationUI globally for CDN consumers
+// Expose GebetaMaps, NavigationUI, VoiceGuidance, the location providers and filters, trace recording, the polyline codec, i18n and the formatter globally for CDN consumers
 window.GebetaMaps = GebetaMaps
 window.NavigationUI = NavigationUI
+window.VoiceGuidance = VoiceGuidance
+window.BrowserLocationProvider = BrowserLocationProvider
+window.RouteSimulationProvider = RouteSimulationProvider
+window.TraceRecorder = TraceRecorder
+window.TraceReplayProvider = TraceReplayProvider
+window.FilteredLocationProvider = FilteredLocationProvider
+window.GebetaPolyline = polyline
+window.GebetaI18n = i18n
+window.GebetaFormatter = Formatter
 
 // Export for ES modules
-export { NavigationUI }
+export {
+  NavigationUI,
+  VoiceGuidance,
+  SpeechSynthesisProvider,
+  BrowserLocationProvider,
+  RouteSimulationProvider,
+  TraceRecorder,
+  TraceReplayProvider,
+  parseTrace,
+  FilteredLocationProvider,
+  createAccuracyFilter,
+  createSpeedFilter,
+  createKalmanFilter,
+  createMotionFilter,
+  NavigationSessionStore,
+  MemoryStorage,
+  polyline,
+  i18n,
+  Formatter
+}
 export default GebetaMaps
@@ -0,0 +1,137 @@
+/**
+ * Encoded polyline codec.
+ *
+ * Implements the Google encoded polyline algorithm at a configurable precision:
+ * - precision 5 (1e-5 degrees) is the Google Maps / OSRM default
+ * - precision 6 (1e-6 degrees) is what Valhalla returns in `leg.shape`
+ *
+ * Encoded strings store [lat, lng] pairs. This module always exposes coordinates
+ * as [lng, lat] pairs (GeoJSON / MapLibre order), so decoded shapes can be used
+ * directly as LineString coordinates.
+ *
+ * @example
+ * import { decode, encode } from './polyline.js';
+ * const coordinates = decode(leg.shape, 6); // [[lng, lat], ...]
+ * const shape = encode(coordinates, 6);
+ */
+
+function factorFor(precision) {
+  if (!Number.isInteger(precision) || precision < 0 || precision > 10) {
+    throw new Error(`Invalid polyline precision: ${precision}`);
+  }
+  return Math.pow(10, precision);
+}
+
+function encodeValue(value) {
+  // Zig-zag the signed delta so negative values encode as odd numbers
+  let remaining = value < 0 ? -2 * value - 1 : 2 * value;
+  let output = '';
+  while (remaining >= 0x20) {
+    output += String.fromCharCode((0x20 | (remaining % 0x20)) + 63);
+    remaining = Math.floor(remaining / 0x20);
+  }
+  return output + String.fromCharCode(remaining + 63);
+}
+
+/**
+ * Decode an encoded polyline string
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Number of decimal places encoded (default: 6)
+ * @returns {Array} - Array of [lng, lat] coordinates
+ * @throws {Error} - If the string is truncated or contains invalid characters
+ */
+export function decode(encoded, precision = 6) {
+  const factor = factorFor(precision);
+  if (!encoded || typeof encoded !== 'string') {
+    return [];
+  }
+
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Invalid polyline: unexpected end of string');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) {
+        throw new Error(`Invalid polyline: unexpected character at ${index - 1}`);
+      }
+      result += (byte % 0x20) * multiplier;
+      multiplier *= 0x20;
+    } while (byte >= 0x20);
+    // Undo the zig-zag encoding
+    return result % 2 === 1 ? -(result + 1) / 2 : result / 2;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    coordinates.push([lng / factor, lat / factor]);
+  }
+
+  return coordinates;
+}
+
+/**
+ * Encode coordinates as a polyline string
+ * @param {Array} coordinates - Array of [lng, lat] coordinates
+ * @param {number} precision - Number of decimal places to keep (default: 6)
+ * @returns {string} - Encoded polyline
+ */
+export function encode(coordinates, precision = 6) {
+  const factor = factorFor(precision);
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array of [lng, lat] pairs');
+  }
+
+  let output = '';
+  let prevLat = 0;
+  let prevLng = 0;
+
+  coordinates.forEach((coord) => {
+    if (!Array.isArray(coord) || typeof coord[0] !== 'number' || typeof coord[1] !== 'number') {
+      throw new Error('Coordinates must be an array of [lng, lat] pairs');
+    }
+    const lat = Math.round(coord[1] * factor);
+    const lng = Math.round(coord[0] * factor);
+    output += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  });
+
+  return output;
+}
+
+/**
+ * Decode an encoded polyline into a GeoJSON LineString geometry
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Number of decimal places encoded (default: 6)
+ * @returns {Object} - GeoJSON LineString
+ */
+export function toGeoJSON(encoded, precision = 6) {
+  return {
+    type: 'LineString',
+    coordinates: decode(encoded, precision)
+  };
+}
+
+/**
+ * Encode a GeoJSON LineString (geometry or Feature) as a polyline string
+ * @param {Object} geojson - GeoJSON LineString geometry or Feature
+ * @param {number} precision - Number of decimal places to keep (default: 6)
+ * @returns {string} - Encoded polyline
+ */
+export function fromGeoJSON(geojson, precision = 6) {
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+  if (!geometry || geometry.type !== 'LineString') {
+    throw new Error('Expected a GeoJSON LineString geometry or Feature');
+  }
+  return encode(geometry.coordinates, precision);
+}
@@ -0,0 +1,434 @@
+/**
+ * Route serialization to and from GeoJSON, GPX and KML.
+ *
+ * Exported files contain the route line, the origin/destination/waypoint points
+ * and every instruction as a named point carrying its `instruction` text and
+ * `coord`. Importing produces the same internal route shape `getDirections`
+ * returns, so it can be passed to `displayRoute` and `NavController.start`:
+ * instructions get their `shapeIndex` back and `legs` are rebuilt by splitting
+ * the line at the waypoints.
+ */
+
+import { haversine, pointToLngLat } from './geo.js';
+
+export const ROUTE_FORMATS = ['geojson', 'gpx', 'kml'];
+
+// Namespace of the instruction details GPX waypoints carry in <extensions>
+const GPX_EXTENSIONS_NS = 'urn:gebeta-maps:route';
+const GPX_STEP_FIELDS = { maneuverType: 'type', legIndex: 'legIndex', time: 'time', length: 'length', icon: 'icon' };
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export function parseXml(text) {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('XML parsing requires DOMParser (browser environment)');
+  }
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid XML document');
+  }
+  return doc;
+}
+
+function assertFormat(format) {
+  if (!ROUTE_FORMATS.includes(format)) {
+    throw new Error(`Invalid route format "${format}". Expected one of: ${ROUTE_FORMATS.join(', ')}`);
+  }
+}
+
+// Instruction coordinates are [lng, lat]; legacy responses also carry turning_latitude/longitude
+function instructionLngLat(step) {
+  if (step.turning_latitude != null && step.turning_longitude != null) {
+    return [step.turning_longitude, step.turning_latitude];
+  }
+  return Array.isArray(step.coord) && step.coord.length === 2 ? step.coord : null;
+}
+
+/**
+ * Collect the points of a route in export order
+ * @param {Object} route - Route data
+ * @returns {Array} - [{role, name, coord: [lng, lat], step?}]
+ */
+function collectRoutePoints(route) {
+  const points = [];
+  if (route.origin) {
+    points.push({ role: 'origin', name: 'Origin', coord: [route.origin.lng, route.origin.lat] });
+  }
+  (route.waypoints || []).forEach((waypoint, index) => {
+    points.push({ role: 'waypoint', name: `Waypoint ${index + 1}`, coord: [waypoint.lng, waypoint.lat], index });
+  });
+  if (route.destination) {
+    points.push({ role: 'destination', name: 'Destination', coord: [route.destination.lng, route.destination.lat] });
+  }
+  (route.instructions || []).forEach((step, index) => {
+    const coord = instructionLngLat(step);
+    if (!coord) return;
+    points.push({ role: 'instruction', name: step.instruction || step.path || `Step ${index + 1}`, coord, index, step });
+  });
+  return points;
+}
+
+function toGeoJSON(route) {
+  const coordinates = route.geometry?.coordinates || [];
+  const features = [{
+    type: 'Feature',
+    properties: {
+      role: 'route',
+      distance: route.distance ?? null,
+      duration: route.duration ?? null,
+      totalDistance: route.totalDistance ?? null,
+      totalTime: route.totalTime ?? null,
+      profile: route.profile ?? null
+    },
+    geometry: { type: 'LineString', coordinates }
+  }];
+
+  collectRoutePoints(route).forEach((point) => {
+    const properties = { role: point.role, name: point.name };
+    if (point.index !== undefined) properties.index = point.index;
+    if (point.step) {
+      properties.instruction = point.step.instruction ?? point.name;
+      properties.maneuverType = point.step.type ?? null;
+      properties.icon = point.step.icon ?? null;
+      properties.time = point.step.time ?? null;
+      properties.length = point.step.length ?? null;
+      properties.legIndex = point.step.legIndex ?? null;
+    }
+    features.push({
+      type: 'Feature',
+      properties,
+      geometry: { type: 'Point', coordinates: point.coord }
+    });
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+// Instruction details GPX has no element for, e.g. <gebeta:maneuverType>15</gebeta:maneuverType>
+function gpxStepExtensions(step) {
+  const fields = Object.entries(GPX_STEP_FIELDS)
+    .filter(([, key]) => step[key] != null)
+    .map(([name, key]) => `<gebeta:${name}>${escapeXml(step[key])}</gebeta:${name}>`);
+  return fields.length > 0 ? `    <extensions>${fields.join('')}</extensions>` : null;
+}
+
+function toGpx(route) {
+  const coordinates = route.geometry?.coordinates || [];
+  const waypoints = collectRoutePoints(route).map(point => [
+    `  <wpt lat="${point.coord[1]}" lon="${point.coord[0]}">`,
+    `    <name>${escapeXml(point.name)}</name>`,
+    point.step ? `    <desc>${escapeXml(point.step.instruction ?? point.name)}</desc>` : null,
+    `    <type>${point.role}</type>`,
+    point.step ? gpxStepExtensions(point.step) : null,
+    '  </wpt>'
+  ].filter(Boolean).join('\n'));
+  const trackPoints = coordinates.map(c => `      <trkpt lat="${c[1]}" lon="${c[0]}"></trkpt>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="Gebeta Maps" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gebeta="${GPX_EXTENSIONS_NS}">`,
+    '  <metadata><name>Route</name></metadata>',
+    ...waypoints,
+    '  <trk>',
+    '    <name>Route</name>',
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>'
+  ].join('\n');
+}
+
+function toKml(route) {
+  const coordinates = route.geometry?.coordinates || [];
+  const placemarks = collectRoutePoints(route).map((point) => {
+    const data = [`<Data name="role"><value>${point.role}</value></Data>`];
+    if (point.step && point.step.type != null) {
+      data.push(`<Data name="maneuverType"><value>${escapeXml(point.step.type)}</value></Data>`);
+    }
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(point.name)}</name>`,
+      point.step ? `      <description>${escapeXml(point.step.instruction ?? point.name)}</description>` : null,
+      `      <ExtendedData>${data.join('')}</ExtendedData>`,
+      `      <Point><coordinates>${point.coord[0]},${point.coord[1]}</coordinates></Point>`,
+      '    </Placemark>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>Route</name>',
+    '    <Placemark>',
+    '      <name>Route</name>',
+    '      <ExtendedData><Data name="role"><value>route</value></Data></ExtendedData>',
+    '      <LineString>',
+    '        <tessellate>1</tessellate>',
+    `        <coordinates>${coordinates.map(c => `${c[0]},${c[1]}`).join(' ')}</coordinates>`,
+    '      </LineString>',
+    '    </Placemark>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+/**
+ * Serialize a route
+ * @param {Object} route - Route data from getDirections
+ * @param {string} format - 'geojson', 'gpx' or 'kml'
+ * @returns {string} - Serialized route
+ */
+export function exportRoute(route, format = 'geojson') {
+  assertFormat(format);
+  if (!route || !route.geometry) {
+    throw new Error('A route with geometry is required for export');
+  }
+  if (format === 'gpx') return toGpx(route);
+  if (format === 'kml') return toKml(route);
+  return toGeoJSON(route);
+}
+
+// Index of the line vertex closest to a coordinate, searching from `from` onwards.
+// The first of equally close vertices wins, so a route passing a point twice matches the earlier pass.
+function nearestVertex(coordinates, coord, from = 0) {
+  let best = -1;
+  let bestDistance = Infinity;
+  for (let i = from; i < coordinates.length; i++) {
+    const distance = haversine(pointToLngLat(coordinates[i]), pointToLngLat(coord));
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function lineDistance(coordinates) {
+  let distance = 0;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    distance += haversine(pointToLngLat(coordinates[i]), pointToLngLat(coordinates[i + 1]));
+  }
+  return distance;
+}
+
+const formatKm = meters => `${(meters / 1000).toFixed(2)} km`;
+
+/**
+ * Build the internal route shape from a line and its typed points
+ * @param {Array} coordinates - [lng, lat] route line
+ * @param {Array} points - [{role, name, coord, instruction?, maneuverType?, ...}]
+ * @returns {Object} - Route data
+ */
+function buildRoute(coordinates, points) {
+  const byRole = role => points.filter(point => point.role === role);
+  const toLatLng = coord => ({ lat: coord[1], lng: coord[0] });
+
+  const originPoint = byRole('origin')[0];
+  const destinationPoint = byRole('destination')[0];
+  const origin = originPoint ? toLatLng(originPoint.coord) : (coordinates[0] ? toLatLng(coordinates[0]) : null);
+  const destination = destinationPoint
+    ? toLatLng(destinationPoint.coord)
+    : (coordinates.length > 0 ? toLatLng(coordinates[coordinates.length - 1]) : null);
+
+  // Legs end at the line vertices closest to each waypoint, in order
+  const waypoints = byRole('waypoint').map(point => toLatLng(point.coord));
+  const lastIndex = Math.max(coordinates.length - 1, 0);
+  const boundaries = [0];
+  byRole('waypoint').forEach((point) => {
+    const previous = boundaries[boundaries.length - 1];
+    boundaries.push(Math.max(nearestVertex(coordinates, point.coord, previous), previous));
+  });
+  boundaries.push(lastIndex);
+  // A waypoint vertex ends one leg and starts the next: its start maneuver (types 1-3) belongs to the later leg
+  const legIndexAt = (shapeIndex, type) => boundaries.slice(1, -1)
+    .filter(end => (type >= 1 && type <= 3 ? end <= shapeIndex : end < shapeIndex)).length;
+
+  // Instruction points lie on the line; match them in order so progress and ETA timing can use them
+  let searchFrom = 0;
+  const instructions = byRole('instruction').map((point, index) => {
+    const shapeIndex = coordinates.length > 0 ? nearestVertex(coordinates, point.coord, searchFrom) : null;
+    if (shapeIndex !== null) searchFrom = shapeIndex;
+    return {
+      type: point.maneuverType ?? undefined,
+      instruction: point.instruction || point.name,
+      coord: point.coord,
+      icon: point.icon || undefined,
+      time: point.time ?? undefined,
+      length: point.length ?? undefined,
+      legIndex: point.legIndex ?? (shapeIndex !== null ? legIndexAt(shapeIndex, point.maneuverType) : undefined),
+      shapeIndex,
+      index
+    };
+  });
+
+  const toPoint = index => (coordinates[index] ? toLatLng(coordinates[index]) : null);
+  const legs = boundaries.slice(1).map((shapeEndIndex, index) => {
+    const shapeStartIndex = boundaries[index];
+    const legCoordinates = coordinates.slice(shapeStartIndex, shapeEndIndex + 1);
+    const legDistance = lineDistance(legCoordinates);
+    return {
+      index,
+      geometry: { type: 'LineString', coordinates: legCoordinates },
+      origin: index === 0 ? origin : waypoints[index - 1] || toPoint(shapeStartIndex),
+      destination: index === waypoints.length ? destination : waypoints[index] || toPoint(shapeEndIndex),
+      shapeStartIndex,
+      shapeEndIndex,
+      distance: formatKm(legDistance),
+      totalDistance: legDistance,
+      totalTime: null,
+      instructions: instructions.filter(step => (step.legIndex ?? 0) === index)
+    };
+  });
+
+  const totalDistance = lineDistance(coordinates);
+
+  return {
+    geometry: { type: 'LineString', coordinates },
+    origin,
+    destination,
+    waypoints,
+    distance: formatKm(totalDistance),
+    totalDistance,
+    instructions,
+    legs
+  };
+}
+
+function fromGeoJSON(text) {
+  const data = typeof text === 'string' ? JSON.parse(text) : text;
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+
+  const line = features.find(f => f.geometry?.type === 'LineString');
+  if (!line) {
+    throw new Error('GeoJSON route must contain a LineString feature');
+  }
+
+  const points = features
+    .filter(f => f.geometry?.type === 'Point')
+    .map(f => ({
+      // Untyped points are treated as instructions
+      role: f.properties?.role || 'instruction',
+      name: f.properties?.name,
+      coord: f.geometry.coordinates,
+      instruction: f.properties?.instruction,
+      maneuverType: f.properties?.maneuverType,
+      icon: f.properties?.icon,
+      time: f.properties?.time,
+      length: f.properties?.length,
+      legIndex: f.properties?.legIndex
+    }));
+
+  const route = buildRoute(line.geometry.coordinates, points);
+  const props = line.properties || {};
+  if (props.totalTime != null) route.totalTime = props.totalTime;
+  if (props.profile) route.profile = props.profile;
+  return route;
+}
+
+function childText(element, tagName) {
+  const child = element.getElementsByTagName(tagName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function fromGpx(text) {
+  const doc = parseXml(text);
+  let trackPoints = Array.from(doc.getElementsByTagName('trkpt'));
+  if (trackPoints.length === 0) {
+    trackPoints = Array.from(doc.getElementsByTagName('rtept'));
+  }
+  if (trackPoints.length === 0) {
+    throw new Error('GPX route must contain a track or route');
+  }
+  const coordinates = trackPoints.map(pt => [parseFloat(pt.getAttribute('lon')), parseFloat(pt.getAttribute('lat'))]);
+
+  const extension = (wpt, name) => {
+    const element = wpt.getElementsByTagNameNS(GPX_EXTENSIONS_NS, name)[0];
+    return element ? element.textContent.trim() : null;
+  };
+  const number = value => (value !== null && value !== '' && isFinite(value) ? Number(value) : undefined);
+
+  const points = Array.from(doc.getElementsByTagName('wpt')).map(wpt => ({
+    role: childText(wpt, 'type') || 'instruction',
+    name: childText(wpt, 'name'),
+    instruction: childText(wpt, 'desc') || childText(wpt, 'name'),
+    maneuverType: number(extension(wpt, 'maneuverType')),
+    legIndex: number(extension(wpt, 'legIndex')),
+    time: number(extension(wpt, 'time')),
+    length: number(extension(wpt, 'length')),
+    icon: extension(wpt, 'icon') || undefined,
+    coord: [parseFloat(wpt.getAttribute('lon')), parseFloat(wpt.getAttribute('lat'))]
+  }));
+
+  return buildRoute(coordinates, points);
+}
+
+function parseKmlCoordinates(text) {
+  return (text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+}
+
+function fromKml(text) {
+  const doc = parseXml(text);
+  const placemarks = Array.from(doc.getElementsByTagName('Placemark'));
+
+  const readData = (placemark) => {
+    const data = {};
+    Array.from(placemark.getElementsByTagName('Data')).forEach((el) => {
+      data[el.getAttribute('name')] = childText(el, 'value');
+    });
+    return data;
+  };
+
+  const linePlacemark = placemarks.find(pm => pm.getElementsByTagName('LineString').length > 0);
+  if (!linePlacemark) {
+    throw new Error('KML route must contain a LineString placemark');
+  }
+  const lineString = linePlacemark.getElementsByTagName('LineString')[0];
+  const coordinates = parseKmlCoordinates(childText(lineString, 'coordinates'));
+
+  const points = placemarks
+    .filter(pm => pm.getElementsByTagName('Point').length > 0)
+    .map((pm) => {
+      const data = readData(pm);
+      const point = pm.getElementsByTagName('Point')[0];
+      return {
+        role: data.role || 'instruction',
+        name: childText(pm, 'name'),
+        instruction: childText(pm, 'description') || childText(pm, 'name'),
+        maneuverType: data.maneuverType != null ? Number(data.maneuverType) : undefined,
+        coord: parseKmlCoordinates(childText(point, 'coordinates'))[0]
+      };
+    })
+    .filter(point => point.coord && point.coord.length === 2);
+
+  return buildRoute(coordinates, points);
+}
+
+/**
+ * Parse a serialized route into the internal route shape
+ * @param {string} text - Serialized route
+ * @param {string} format - 'geojson', 'gpx' or 'kml'
+ * @returns {Object} - Route data ({geometry, origin, destination, waypoints, instructions, ...})
+ */
+export function importRoute(text, format = 'geojson') {
+  assertFormat(format);
+  if (!text) {
+    throw new Error('Route data is required for import');
+  }
+  if (format === 'gpx') return fromGpx(text);
+  if (format === 'kml') return fromKml(text);
+  return fromGeoJSON(text);
+}